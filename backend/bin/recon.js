@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { loadDatasets, createRun, renderExport, checkThreshold, parseUpload, parseFxRates, runSettings, EXPORT_FORMATS } from "../src/engine.js";
+import { STATUS_LABELS } from "../src/reports.js";
+
+// Command-line reconciliation for batch and scheduled runs, on the same engine as the API
+// (nothing is stored). Exit codes: 0 done, 1 more open exceptions than --max-exceptions,
+// 2 bad arguments or unreadable input.
+
+const USAGE = `Usage: recon run --a <file> --b <file> [options]
+
+Options:
+  --config <file>          run settings JSON: { mode, mapping, rules, parseOptions, fx }
+                           (a template saved in the app works too)
+  --rates <file>           FX rate table for multi-currency runs
+  --out <file>             write the report; the format follows the extension
+                           (.csv, .xlsx, .pdf or .json for the whole run)
+  --format <format>        csv | xlsx | pdf | json, overriding the extension
+  --filter <status>        only export results with this status (e.g. MISMATCH)
+  --include all            export every column of both files, not just the mapped ones
+  --max-exceptions <n|n%>  exit with 1 when more exceptions are left open
+  --sheet-a / --sheet-b    workbook sheet to read (name or 1-based position)
+  --strict                 reject files with malformed rows instead of skipping them`;
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+// Same shape as a multer upload, so the engine streams it from disk like an API upload.
+function readInput(file) {
+  return { originalname: path.basename(file), path: file, size: fs.statSync(file).size };
+}
+
+// Progress on one rewritten stderr line, only when a person is watching.
+function progressLine(p) {
+  if (!process.stderr.isTTY) return;
+  const percent = p.total ? Math.floor((p.done / p.total) * 100) : 100;
+  const label = p.side ? `${p.phase} ${p.side.toUpperCase()}` : p.phase;
+  process.stderr.write(`\r${label.padEnd(16)} ${percent}%`.padEnd(40) + (percent === 100 ? "\n" : ""));
+}
+
+async function run(values) {
+  if (!values.a || !values.b) throw new Error("Both --a and --b are required.");
+
+  let config = {};
+  if (values.config) {
+    config = JSON.parse(fs.readFileSync(values.config, "utf-8"));
+    if (config.template) config = config.template;
+  }
+  const parsed = runSettings.safeParse({ mode: "auto", ...config });
+  if (!parsed.success) {
+    throw new Error(`Invalid config: ${parsed.error.issues.map(i => `${i.path.join(".")} ${i.message}`).join("; ")}`);
+  }
+  const { parseOptions, ...settings } = parsed.data;
+
+  const s = await loadDatasets({ a: readInput(values.a), b: readInput(values.b) }, {
+    parseOptions,
+    sheets: { a: values["sheet-a"], b: values["sheet-b"] },
+    lenient: !values.strict,
+    onProgress: progressLine
+  });
+  if (values.rates) s.fxRates = parseFxRates(await parseUpload(readInput(values.rates), { lenient: true }));
+  const result = createRun(s, settings, { onProgress: progressLine });
+
+  for (const [status, label] of Object.entries(STATUS_LABELS)) {
+    if (result.summary[status]) console.error(`${label.padEnd(16)} ${result.summary[status]}`);
+  }
+  console.error(`${"Total".padEnd(16)} ${result.summary.total}`);
+  if (result.fx) {
+    const failed = result.fx.failures.a.count + result.fx.failures.b.count;
+    console.error(`Amounts compared in ${result.fx.baseCurrency}${failed ? `, ${failed} rows not converted` : ""}`);
+  }
+
+  if (values.out) {
+    const format = values.format || path.extname(values.out).slice(1).toLowerCase();
+    if (format === "json") {
+      fs.writeFileSync(values.out, JSON.stringify({ meta: s.meta, ...result }, null, 2));
+    } else {
+      if (!EXPORT_FORMATS[format]) throw new Error(`Unknown format "${format}" (expected csv, xlsx, pdf or json).`);
+      const { body } = await renderExport(s, result, {
+        sessionId: "cli",
+        format,
+        filter: values.filter || "ALL",
+        include: values.include === "all" ? "all" : "mapped"
+      });
+      fs.writeFileSync(values.out, body);
+    }
+    console.error(`Wrote ${values.out}`);
+  }
+
+  if (values["max-exceptions"] !== undefined) {
+    const { exceptions, limit, exceeded } = checkThreshold(result, values["max-exceptions"]);
+    console.error(`Open exceptions  ${exceptions} (limit ${+limit.toFixed(2)})`);
+    if (exceeded) return EXIT_THRESHOLD;
+  }
+  return EXIT_OK;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        a: { type: "string" },
+        b: { type: "string" },
+        config: { type: "string" },
+        rates: { type: "string" },
+        out: { type: "string" },
+        format: { type: "string" },
+        filter: { type: "string" },
+        include: { type: "string" },
+        "max-exceptions": { type: "string" },
+        "sheet-a": { type: "string" },
+        "sheet-b": { type: "string" },
+        strict: { type: "boolean" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals[0] !== "run") {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  try {
+    return await run(values);
+  } catch (e) {
+    console.error(`recon: ${e.message}`);
+    return EXIT_USAGE;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,139 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+
+// Local accounts: scrypt-hashed passwords and HMAC-signed bearer tokens, so the app
+// works offline without an identity provider. Tokens look like
+// base64url(payload).base64url(signature) with payload { sub, name, jti, iat, exp, scope? }.
+// Login tokens have no scope; download tokens (scope "download") only open plain download
+// links, once.
+
+const SCRYPT_KEYLEN = 64;
+// scrypt runs on the libuv thread pool, not the request thread.
+const scrypt = promisify(crypto.scrypt);
+
+// "scrypt$<salt>$<hash>" (hex), salted per user.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, SCRYPT_KEYLEN)).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Checked against when the username doesn't exist, so that takes as long as a wrong password.
+const DUMMY_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(SCRYPT_KEYLEN * 2)}`;
+
+export async function verifyPassword(password, stored = DUMMY_HASH) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected) && stored !== DUMMY_HASH;
+}
+
+// Failed logins per key (client IP + username): after `maxFailures` within `windowMs` the key
+// is refused until the window ends; a successful login clears it. In memory, per process.
+export function createLoginThrottle({ maxFailures, windowMs }) {
+  const failures = new Map(); // key -> { count, resetAt }
+
+  const current = (key, now = Date.now()) => {
+    const entry = failures.get(key);
+    if (entry && entry.resetAt <= now) failures.delete(key);
+    return failures.get(key) || null;
+  };
+
+  return {
+    // Milliseconds until `key` may try again, or 0.
+    retryAfter(key) {
+      const entry = current(key);
+      return entry && entry.count >= maxFailures ? entry.resetAt - Date.now() : 0;
+    },
+    fail(key) {
+      const now = Date.now();
+      // Drop expired keys now and then so the map doesn't grow with every guessed username.
+      if (failures.size >= 10000) for (const [k, e] of failures) if (e.resetAt <= now) failures.delete(k);
+      const entry = current(key, now);
+      if (entry) entry.count++;
+      else failures.set(key, { count: 1, resetAt: now + windowMs });
+    },
+    succeed(key) {
+      failures.delete(key);
+    }
+  };
+}
+
+// Signing secret: AUTH_SECRET when set, otherwise one generated next to the database
+// (so tokens survive restarts), or a throwaway one without a file.
+export function loadSecret({ secret, file }) {
+  if (secret) return secret;
+  if (!file) return crypto.randomBytes(32).toString("hex");
+  if (fs.existsSync(file)) return fs.readFileSync(file, "utf-8").trim();
+  const generated = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, generated, { mode: 0o600 });
+  return generated;
+}
+
+const b64 = (buf) => Buffer.from(buf).toString("base64url");
+const sign = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+export const DOWNLOAD_SCOPE = "download";
+
+export function issueToken(secret, user, ttlMs, { scope } = {}) {
+  const now = Date.now();
+  const payload = { sub: user.id, name: user.name || user.username, jti: crypto.randomUUID(), iat: now, exp: now + ttlMs };
+  if (scope) payload.scope = scope;
+  const body = b64(JSON.stringify(payload));
+  return { token: `${body}.${sign(secret, body)}`, payload };
+}
+
+// The token's payload if its signature is valid and it hasn't expired, else null.
+export function verifyToken(secret, token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+  const expected = Buffer.from(sign(secret, body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+  } catch {
+    return null;
+  }
+  return payload.exp > Date.now() ? payload : null;
+}
+
+// Express middleware: requires a valid, not logged-out login token from the Authorization
+// header and sets req.user / req.token. Requests `isDownload(req)` picks (plain download
+// links, which can't send headers) may instead carry a download token as ?token=; it's
+// used up by the request.
+export function requireAuth({ secret, users, isDownload = () => false }) {
+  return async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || "";
+      let token = header.startsWith("Bearer ") ? header.slice(7) : null;
+      let scope;
+      if (!token && req.query.token && isDownload(req)) {
+        token = String(req.query.token);
+        scope = DOWNLOAD_SCOPE;
+      }
+      const payload = verifyToken(secret, token);
+      if (!payload || payload.scope !== scope || await users.isTokenRevoked(payload.jti)) {
+        return res.status(401).json({ error: "Please log in again." });
+      }
+      if (scope) await users.revokeToken(payload.jti, payload.exp);
+      const user = await users.findById(payload.sub);
+      if (!user) return res.status(401).json({ error: "Please log in again." });
+      req.user = publicUser(user);
+      req.token = payload;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// What the API reveals about a user.
+export function publicUser(user) {
+  return { id: user.id, username: user.username, name: user.name || user.username };
+}
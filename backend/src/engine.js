@@ -0,0 +1,2302 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { Readable } from "node:stream";
+import Papa from "papaparse";
+import ExcelJS from "exceljs";
+import { nanoid } from "nanoid";
+import { z } from "zod";
+import { buildWorkbook, buildPdfReport } from "./reports.js";
+
+// The reconciliation engine without HTTP or storage: reading and profiling files,
+// matching, currency conversion, overrides, exception cases and exports. index.js serves
+// it over the API and bin/recon.js runs it from the command line:
+//   loadDatasets(files, options)  -> a session ({ a, b, parseOptions, meta }) to reconcile
+//   createRun(s, settings)        -> a run ({ id, mode, mapping, summary, totals, results, ... })
+// Both take an `onProgress` callback for big files.
+//   renderExport(s, run, options) -> { body, rows, columns }: the run as CSV, .xlsx or PDF
+
+/** ---------- Helpers ---------- **/
+// Normalize CSV header labels for consistent matching.
+function normalizeHeader(h) {
+  return String(h ?? "").trim();
+}
+// Parse amount strings safely. `format` (see resolveNumberFormat) sets the decimal and
+// thousands separators; currency symbols/codes, (250.00), 250.00-, and DR/CR markers are
+// understood (DR negative by default, or CR with negativeMarker: "CR").
+function toNumber(v, format = {}) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  let s = String(v).trim();
+  if (s === "") return null;
+
+  let negative = false;
+  const marker = s.match(/^(DR|CR)\.?\s*|\s*(DR|CR)\.?$/i);
+  if (marker) {
+    negative = (marker[1] || marker[2]).toUpperCase() === (format.negativeMarker || "DR");
+    s = (s.slice(0, marker.index) + s.slice(marker.index + marker[0].length)).trim();
+  }
+  // €, $, £... and ISO codes like USD / EUR
+  if (format.stripCurrency !== false) s = s.replace(/\p{Sc}|[A-Za-z]{3}/gu, "").trim();
+  if (/^\(.*\)$/.test(s)) { negative = !negative; s = s.slice(1, -1).trim(); }
+  if (/^[-+]/.test(s)) { if (s[0] === "-") negative = !negative; s = s.slice(1).trim(); }
+  if (/-$/.test(s)) { negative = !negative; s = s.slice(0, -1).trim(); }
+  if (/^\(.*\)$/.test(s)) { negative = !negative; s = s.slice(1, -1).trim(); }
+
+  const decimal = format.decimalSeparator === "," || format.decimalSeparator === "."
+    ? format.decimalSeparator
+    : guessDecimalSeparator(s);
+  const thousands = !format.thousandsSeparator || format.thousandsSeparator === "auto"
+    ? (decimal === "." ? ",'" : ".'")
+    : (format.thousandsSeparator === "none" ? "" : format.thousandsSeparator);
+
+  s = s.replace(/[\s\u00A0\u202F]/g, "");
+  for (const ch of thousands) s = s.split(ch).join("");
+  if (decimal === ",") s = s.replace(",", ".");
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(s)) return null;
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  return negative ? -n : n;
+}
+
+// Decimal separator of a single value: the last of "," / "." when both appear, a lone
+// "," not followed by exactly three digits (12,50), otherwise ".".
+function guessDecimalSeparator(s) {
+  const comma = s.lastIndexOf(","), dot = s.lastIndexOf(".");
+  if (comma >= 0 && dot >= 0) return comma > dot ? "," : ".";
+  if (comma >= 0 && s.indexOf(",") === comma && !/,\d{3}$/.test(s.replace(/\D+$/, ""))) return ",";
+  return ".";
+}
+
+// Decimal separator of a whole column: each value that clearly uses one counts as a vote.
+function detectDecimalSeparator(values) {
+  let comma = 0, dot = 0;
+  for (const v of values) {
+    if (typeof v === "number") continue;
+    const s = stringify(v).replace(/\D+$/, "");
+    const c = s.lastIndexOf(","), d = s.lastIndexOf(".");
+    if (c >= 0 && d >= 0) { c > d ? comma++ : dot++; continue; }
+    if (c >= 0 && s.indexOf(",") === c && !/,\d{3}$/.test(s)) comma++;
+    if (d >= 0 && s.indexOf(".") === d && !/\.\d{3}$/.test(s)) dot++;
+  }
+  return comma > dot ? "," : ".";
+}
+
+// Pin a dataset's amount notation: configured separators win, an "auto" decimal
+// separator is detected from the given column values. Returns what toNumber() expects.
+function resolveNumberFormat(options = {}, values = []) {
+  const configured = options.decimalSeparator === "," || options.decimalSeparator === ".";
+  return {
+    decimalSeparator: configured ? options.decimalSeparator : detectDecimalSeparator(values),
+    thousandsSeparator: options.thousandsSeparator || "auto",
+    stripCurrency: options.stripCurrency !== false,
+    negativeMarker: options.negativeMarker === "CR" ? "CR" : "DR",
+    source: configured ? "configured" : "detected"
+  };
+}
+
+// Virtual column holding credit − debit when a dataset splits amounts in two columns.
+export const SIGNED_AMOUNT_FIELD = "signed_amount";
+
+// Combine separate debit/credit columns into one signed amount column (credits positive,
+// debits negative) so mapping, matching and export treat it like any other column.
+// Re-running with other options replaces the previously derived values.
+function applySignedAmount(dataset, options = {}) {
+  const debitColumn = options.debitColumn || null;
+  const creditColumn = options.creditColumn || null;
+  const derived = dataset.derived?.includes(SIGNED_AMOUNT_FIELD);
+  const sourceFields = dataset.fields.filter(f => !(derived && f === SIGNED_AMOUNT_FIELD));
+
+  // Validate before touching the dataset so a bad request leaves it as it was.
+  if (debitColumn || creditColumn) {
+    if (sourceFields.includes(SIGNED_AMOUNT_FIELD)) {
+      throw new Error(`The file already has a "${SIGNED_AMOUNT_FIELD}" column; rename it to combine debit/credit columns.`);
+    }
+    for (const col of [debitColumn, creditColumn]) {
+      if (col && !sourceFields.includes(col)) throw new Error(`Unknown debit/credit column "${col}".`);
+    }
+  }
+
+  if (derived) {
+    dataset.fields = sourceFields;
+    for (const r of dataset.rows) delete r[SIGNED_AMOUNT_FIELD];
+    dataset.derived = dataset.derived.filter(f => f !== SIGNED_AMOUNT_FIELD);
+  }
+  if (!debitColumn && !creditColumn) return;
+
+  const values = dataset.rows.flatMap(r => [debitColumn && r[debitColumn], creditColumn && r[creditColumn]]);
+  const format = resolveNumberFormat(options, values.filter(Boolean));
+  for (const r of dataset.rows) {
+    const debit = debitColumn ? toNumber(r[debitColumn], format) : null;
+    const credit = creditColumn ? toNumber(r[creditColumn], format) : null;
+    r[SIGNED_AMOUNT_FIELD] = (debit === null && credit === null)
+      ? ""
+      : Math.round((Math.abs(credit ?? 0) - Math.abs(debit ?? 0)) * 1e6) / 1e6;
+  }
+  dataset.fields = [...dataset.fields, SIGNED_AMOUNT_FIELD];
+  dataset.derived = [...(dataset.derived || []), SIGNED_AMOUNT_FIELD];
+}
+// Supported per-dataset date formats ("auto" detects one per column; see detectDateFormat).
+const DATE_FORMATS = ["YMD", "DMY", "MDY"];
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+// Day/month-first numeric dates (01/02/2025, 1.2.25, 01-02-2025 10:30) are the ambiguous ones.
+const DAY_MONTH_RE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T\s].*)?$/;
+
+// Build YYYY-MM-DD from calendar parts, rejecting impossible dates (31/02, month 13...).
+function isoFromParts(y, m, d) {
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// Month number from an English month name or abbreviation ("Feb", "Sept", "February").
+function monthFromName(name) {
+  const n = name.toLowerCase();
+  return MONTHS[n.slice(0, 4)] || MONTHS[n.slice(0, 3)] || null;
+}
+
+// Parse date strings into YYYY-MM-DD without timezone shifts.
+// `format` orders day/month-first numerics (DMY or MDY); "auto" reads them as MM/DD
+// unless only DD/MM is a valid date. Year-first, compact and month-name forms are unambiguous.
+function normalizeDate(v, format = "auto") {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  // 20250201
+  let m = s.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) return isoFromParts(+m[1], +m[2], +m[3]);
+  // 2025-02-01, 2025/02/01, 2025-02-01T23:30:00Z (the written calendar date is kept)
+  m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (m) return isoFromParts(+m[1], +m[2], +m[3]);
+  // 01-Feb-2025, 1 Feb 2025, 01.February.25
+  m = s.match(/^(\d{1,2})[-\s/.]([A-Za-z]{3,9})\.?[-\s/.,]+(\d{2}|\d{4})$/);
+  if (m) return monthFromName(m[2]) ? isoFromParts(+m[3], monthFromName(m[2]), +m[1]) : null;
+  // Feb 1, 2025 / February 01 2025
+  m = s.match(/^([A-Za-z]{3,9})\.?[-\s/.]+(\d{1,2}),?[-\s/.]+(\d{2}|\d{4})$/);
+  if (m) return monthFromName(m[1]) ? isoFromParts(+m[3], monthFromName(m[1]), +m[2]) : null;
+
+  m = s.match(DAY_MONTH_RE);
+  if (m) {
+    const [p, q, y] = [+m[1], +m[2], +m[3]];
+    if (format === "DMY") return isoFromParts(y, q, p);
+    if (format === "MDY") return isoFromParts(y, p, q);
+    if (format === "YMD") return null;
+    return isoFromParts(y, p, q) ?? isoFromParts(y, q, p);
+  }
+  return null;
+}
+
+// Detect the date format of a column by checking every value, not just a sample.
+// A format is a candidate when it reads all day/month-first values as real dates;
+// two candidates (every day <= 12) is reported as ambiguous and falls back to MDY.
+// A `configured` format overrides the pick but candidates/ambiguity are still reported.
+function detectDateFormat(values, configured = null) {
+  let total = 0, dayMonth = 0, dmy = 0, mdy = 0;
+  for (const v of values) {
+    const s = stringify(v);
+    if (!s) continue;
+    total++;
+    const m = s.match(DAY_MONTH_RE);
+    if (!m) continue;
+    dayMonth++;
+    if (isoFromParts(+m[3], +m[2], +m[1])) dmy++;
+    if (isoFromParts(+m[3], +m[1], +m[2])) mdy++;
+  }
+
+  let format, candidates;
+  if (!dayMonth) {
+    format = "YMD";
+    candidates = ["YMD"];
+  } else {
+    candidates = [dmy === dayMonth && "DMY", mdy === dayMonth && "MDY"].filter(Boolean);
+    format = candidates.length === 1 ? candidates[0] : (dmy > mdy ? "DMY" : "MDY");
+  }
+  const source = DATE_FORMATS.includes(configured) ? "configured" : "detected";
+  if (source === "configured") format = configured;
+
+  let invalid = 0;
+  for (const v of values) {
+    if (stringify(v) && normalizeDate(v, format) === null) invalid++;
+  }
+  return { format, source, ambiguous: candidates.length > 1, candidates, invalid, total };
+}
+// Convert value to a trimmed string, treating null/undefined as empty.
+function stringify(v) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim();
+}
+
+// Throttle a progress callback for long loops to one call per percent of a phase:
+// report(phase, done, total) -> onProgress({ phase, done, total }).
+function progressReporter(onProgress) {
+  if (!onProgress) return () => {};
+  let last = null, lastPercent = -1;
+  return (phase, done, total) => {
+    const percent = total ? Math.floor((done / total) * 100) : 100;
+    if (phase === last && percent === lastPercent) return;
+    last = phase;
+    lastPercent = percent;
+    onProgress({ phase, done, total });
+  };
+}
+
+// Reading uploaded files
+
+// Parse an upload into fields + row objects (adds __rowId for tracing). The format comes
+// from the file extension, falling back to the content; `file` describes what was read.
+// Lenient parsing (the default) keeps the good rows and reports the rest as warnings.
+// Uploads are multer files kept on disk (`path`) or in memory (`buffer`); delimited text
+// and NDJSON are parsed as a stream, JSON arrays and workbooks are read whole.
+// `onProgress({ phase: "reading", done, total })` follows the bytes read.
+export async function parseUpload(upload, options = {}) {
+  const lenient = options.lenient !== false;
+  const ext = String(upload.originalname || "").toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  const head = await readHead(upload);
+  const zipped = head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+
+  let parsed, decoded = null;
+  if (ext === "xls") throw new Error("Legacy .xls files aren't supported; save the sheet as .xlsx or CSV.");
+  if (ext === "xlsx" || ext === "xlsm" || (zipped && !TEXT_EXTENSIONS.includes(ext))) {
+    const buf = upload.buffer ?? await fs.promises.readFile(upload.path);
+    parsed = {
+      ...(await parseXlsxBuffer(buf, options.sheet)),
+      format: "xlsx",
+      warnings: [],
+      warningCount: 0,
+      sha256: crypto.createHash("sha256").update(buf).digest("hex")
+    };
+  } else {
+    decoded = await detectEncoding(upload, head, options.encoding);
+    const format = detectTextFormat(ext, decoded.head);
+    const report = progressReporter(options.onProgress);
+    const total = upload.size ?? upload.buffer?.length ?? 0;
+    const text = decodeChunks(upload, decoded.encoding, done => report("reading", done, total));
+    if (format === "json") parsed = { ...parseJsonText(await readAll(text), lenient), format };
+    else if (format === "ndjson") parsed = { ...(await parseNdjsonStream(text, lenient)), format };
+    else parsed = await parseDelimitedStream(text, { delimiter: format === "tsv" ? "\t" : sniffDelimiter(decoded.head), head: decoded.head, lenient });
+  }
+
+  if (!parsed.fields.length) throw new Error(`${upload.originalname || "File"}: no columns found`);
+  const { fields, rows, warnings, warningCount, ...file } = parsed;
+  return {
+    fields,
+    rows,
+    warnings,
+    file: {
+      name: upload.originalname || null,
+      ...file,
+      ...(decoded && { encoding: decoded.encoding, bom: decoded.bom, sha256: decoded.sha256 }),
+      warningCount
+    }
+  };
+}
+
+// Extensions that are always read as text, even if the bytes look like a zip.
+const TEXT_EXTENSIONS = ["csv", "txt", "tsv", "tab", "json", "ndjson", "jsonl"];
+
+// Warnings kept per file; the total is still reported as file.warningCount.
+const MAX_PARSE_WARNINGS = 200;
+
+// Bytes read at a time from an upload on disk; format, delimiter and encoding are
+// guessed from the first chunk.
+const READ_CHUNK = 64 * 1024;
+
+// An upload's bytes as a stream of chunks.
+function openUpload(upload) {
+  return upload.path
+    ? fs.createReadStream(upload.path, { highWaterMark: READ_CHUNK })
+    : Readable.from([upload.buffer]);
+}
+
+async function readHead(upload) {
+  if (!upload.path) return upload.buffer.subarray(0, READ_CHUNK);
+  const handle = await fs.promises.open(upload.path, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(READ_CHUNK), 0, READ_CHUNK, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Text encodings an upload may be forced to; "auto" detects.
+const TEXT_ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252", "iso-8859-1"];
+
+// Encoding of a text upload: a byte-order mark wins, then strict UTF-8, then Windows-1252
+// (what Excel writes for "CSV" on Windows), unless `encoding` names one. Checking UTF-8
+// takes a pass over the whole file, which also hashes it. `head` comes back decoded.
+async function detectEncoding(upload, head, encoding = "auto") {
+  let bom = null;
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) bom = "utf-8";
+  else if (head[0] === 0xff && head[1] === 0xfe) bom = "utf-16le";
+  else if (head[0] === 0xfe && head[1] === 0xff) bom = "utf-16be";
+
+  const forced = encoding && encoding !== "auto" ? encoding : null;
+  if (forced && !TEXT_ENCODINGS.includes(forced)) {
+    throw new Error(`Unknown encoding "${forced}" (expected auto, ${TEXT_ENCODINGS.join(", ")})`);
+  }
+  const hash = crypto.createHash("sha256");
+  const strict = forced || bom ? null : new TextDecoder("utf-8", { fatal: true });
+  let utf8 = !!strict;
+  for await (const chunk of openUpload(upload)) {
+    hash.update(chunk);
+    if (utf8) {
+      try { strict.decode(chunk, { stream: true }); } catch { utf8 = false; }
+    }
+  }
+  if (utf8) {
+    try { strict.decode(); } catch { utf8 = false; }
+  }
+  const name = forced || bom || (utf8 ? "utf-8" : "windows-1252");
+  return { encoding: name, bom: !!bom, sha256: hash.digest("hex"), head: new TextDecoder(name).decode(head) };
+}
+
+// The upload decoded to text chunk by chunk (a leading byte-order mark dropped);
+// `onRead(bytes)` follows the progress.
+async function* decodeChunks(upload, encoding, onRead) {
+  const decoder = new TextDecoder(encoding);
+  let done = 0;
+  for await (const chunk of openUpload(upload)) {
+    done += chunk.length;
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+    onRead(done);
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+async function readAll(chunks) {
+  const parts = [];
+  for await (const text of chunks) parts.push(text);
+  return parts.join("");
+}
+
+// Text format from the extension, then the content (leading [ or { = JSON).
+function detectTextFormat(ext, text) {
+  if (ext === "tsv" || ext === "tab") return "tsv";
+  if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+  if (ext === "json") return "json";
+  if (ext === "csv" || ext === "txt") return "csv";
+  const head = text.slice(0, 64 * 1024).trimStart();
+  if (head.startsWith("[")) return "json";
+  if (head.startsWith("{")) return /^\{.*\}\s*\n\s*\{/s.test(head) ? "ndjson" : "json";
+  return "csv";
+}
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+// Pick the delimiter that splits the first lines into the most consistent number of
+// columns (quoted text ignored); ties go to the one giving more columns.
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 50);
+  let best = { delimiter: ",", share: -1, columns: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const columns = counts[0];
+    if (!columns) continue;
+    const share = counts.filter(c => c === columns).length / counts.length;
+    if (share > best.share || (share === best.share && columns > best.columns)) best = { delimiter, share, columns };
+  }
+  return best.delimiter;
+}
+
+// Occurrences of `ch` in a line, skipping "quoted" sections.
+function countOutsideQuotes(line, ch) {
+  let count = 0, quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) count++;
+  }
+  return count;
+}
+
+// Warnings of one file: the first MAX_PARSE_WARNINGS are kept, all are counted.
+function warningList() {
+  const list = [];
+  let count = 0;
+  return {
+    add(warning) {
+      count++;
+      if (list.length < MAX_PARSE_WARNINGS) list.push(warning);
+    },
+    result: () => ({ warnings: list, warningCount: count })
+  };
+}
+
+// Delimited text, read row by row from a stream of text chunks. Short rows are padded,
+// extra cells dropped and rows with broken quoting skipped, each with a warning; strict
+// parsing (lenient: false) rejects the file at the first problem instead. `head` is the
+// start of the text, for files without any data rows.
+function parseDelimitedStream(chunks, { delimiter, head, lenient = true }) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    const warnings = warningList();
+    let fields = null, row = 0, failed = false;
+    Papa.parse(Readable.from(chunks), {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: false,
+      delimiter,
+      transformHeader: normalizeHeader,
+      step(result, parser) {
+        if (failed) return;
+        row++;
+        fields ??= (result.meta?.fields || []).filter(Boolean);
+        const problems = result.errors.map(err => ({
+          quotes: err.type === "Quotes",
+          problem: err.code === "TooFewFields" || err.code === "TooManyFields"
+            ? `${err.message}; ${err.code === "TooFewFields" ? "missing cells left blank" : "extra cells ignored"}`
+            : err.message
+        }));
+        if (problems.length && !lenient) {
+          failed = true;
+          parser.abort();
+          return reject(new Error(`Row ${row}: ${problems[0].problem}`));
+        }
+        // A skipped row only needs its skip warning.
+        if (problems.some(p => p.quotes)) {
+          for (const p of problems) if (p.quotes) warnings.add({ row, problem: `${p.problem}; row skipped` });
+          return;
+        }
+        for (const p of problems) warnings.add({ row, problem: p.problem });
+        const { __parsed_extra, ...cells } = result.data;
+        for (const f of fields) if (cells[f] === undefined) cells[f] = "";
+        rows.push({ __rowId: row, ...cells });
+      },
+      complete(result) {
+        if (failed) return;
+        fields ??= (Papa.parse(head, { header: true, preview: 1, delimiter, transformHeader: normalizeHeader }).meta.fields || []).filter(Boolean);
+        resolve({ fields, rows, ...warnings.result(), format: delimiter === "\t" ? "tsv" : "csv", delimiter });
+      },
+      error: reject
+    });
+  });
+}
+
+// JSON records as flat rows: nested objects become dotted columns and every value is
+// read as text like a CSV cell. Records that aren't objects are skipped with a warning
+// when lenient.
+function jsonRows(lenient) {
+  const fields = [];
+  const known = new Set();
+  const rows = [];
+  const warnings = warningList();
+  const reject = (row, problem) => {
+    if (!lenient) throw new Error(`Record ${row}: ${problem}`);
+    warnings.add({ row, problem: `${problem}; record skipped` });
+  };
+  return {
+    reject,
+    add(record, n) {
+      if (!record || typeof record !== "object" || Array.isArray(record)) return reject(n, "Not an object");
+      const row = { __rowId: n };
+      flattenRecord(record, "", row);
+      for (const key of Object.keys(row)) {
+        if (key !== "__rowId" && !known.has(key)) { known.add(key); fields.push(key); }
+      }
+      rows.push(row);
+    },
+    result: () => ({ fields, rows, ...warnings.result() })
+  };
+}
+
+// JSON array of objects, or an object wrapping one (e.g. { "data": [...] }).
+function parseJsonText(text, lenient = true) {
+  let records;
+  try {
+    const doc = JSON.parse(text);
+    records = Array.isArray(doc) ? doc : Object.values(doc || {}).find(Array.isArray);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(records)) throw new Error("JSON upload must be an array of records.");
+  const collected = jsonRows(lenient);
+  records.forEach((record, idx) => collected.add(record, idx + 1));
+  return collected.result();
+}
+
+// NDJSON, one record per non-blank line, read from a stream of text chunks; unreadable
+// lines are skipped with a warning when lenient.
+async function parseNdjsonStream(chunks, lenient = true) {
+  const collected = jsonRows(lenient);
+  let n = 0, rest = "";
+  const take = (line) => {
+    if (!line.trim()) return;
+    n++;
+    let record;
+    try { record = JSON.parse(line); } catch (e) { return collected.reject(n, `Invalid JSON (${e.message})`); }
+    collected.add(record, n);
+  };
+  for await (const text of chunks) {
+    const lines = (rest + text).split(/\r?\n/);
+    rest = lines.pop();
+    lines.forEach(take);
+  }
+  take(rest);
+  return collected.result();
+}
+
+// Copy a JSON record into a flat row: { a: { b: 1 } } -> { "a.b": "1" }.
+function flattenRecord(value, prefix, row) {
+  for (const [k, v] of Object.entries(value)) {
+    const key = normalizeHeader(prefix ? `${prefix}.${k}` : k);
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenRecord(v, key, row);
+    else if (Array.isArray(v)) row[key] = JSON.stringify(v);
+    else row[key] = v === null || v === undefined ? "" : String(v);
+  }
+}
+
+// One worksheet of an .xlsx workbook. `sheet` is a name or 1-based position (first
+// sheet with data by default); the header row is the first non-empty row.
+async function parseXlsxBuffer(buffer, sheet) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (e) {
+    throw new Error(`Unreadable Excel file: ${e.message}`);
+  }
+  const sheets = workbook.worksheets.map(ws => ws.name);
+  if (!sheets.length) throw new Error("The workbook has no sheets.");
+
+  let worksheet;
+  if (sheet !== undefined && sheet !== null && sheet !== "") {
+    worksheet = workbook.getWorksheet(String(sheet))
+      || (/^\d+$/.test(String(sheet)) ? workbook.worksheets[Number(sheet) - 1] : undefined);
+    if (!worksheet) throw new Error(`Sheet "${sheet}" not found (sheets: ${sheets.join(", ")})`);
+  } else {
+    worksheet = workbook.worksheets.find(ws => ws.actualRowCount > 0) || workbook.worksheets[0];
+  }
+
+  const fields = [];
+  const rows = [];
+  let columns = null;
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = cellText(cell.value); });
+    if (!columns) {
+      // Header row: blank headers get a positional name so no data is dropped.
+      columns = cells.map((h, i) => normalizeHeader(h) || `column_${i + 1}`);
+      for (const c of columns) {
+        let name = c, n = 1;
+        while (fields.includes(name)) name = `${c}_${++n}`;
+        fields.push(name);
+      }
+      return;
+    }
+    if (cells.every(v => !v)) return;
+    const record = { __rowId: rows.length + 1 };
+    fields.forEach((f, i) => { record[f] = cells[i] ?? ""; });
+    rows.push(record);
+  });
+  return { fields, rows, sheet: worksheet.name, sheets };
+}
+
+// Excel cell value as CSV-like text: dates as YYYY-MM-DD (with time when present),
+// formula results, rich text and hyperlinks by their displayed text.
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso.slice(0, 19);
+  }
+  if (typeof value === "object") {
+    if ("result" in value) return cellText(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join("");
+    return "text" in value ? cellText(value.text) : "";
+  }
+  return String(value);
+}
+
+// Profile plus what was read from the upload (format, encoding, delimiter, sheet) and
+// the rows that needed fixing or were skipped.
+function profileDataset(dataset, options) {
+  return { ...profile(dataset.rows, dataset.fields, options), file: dataset.file, warnings: dataset.warnings || [] };
+}
+
+// Profile a dataset to show quick stats and detected columns on the UI.
+// `options` are the dataset's parse options (date format, amount notation, debit/credit).
+function profile(rows, fields, options = {}) {
+  const rowCount = rows.length;
+  const sampleRows = rows.slice(0, 5);
+  const lowerFields = fields.map(f => f.toLowerCase());
+
+  // Heuristic: detect transaction id column
+  const idCandidates = ["transaction_id", "transactionid", "txn_id", "txnid", "id", "reference", "ref", "trans_id"];
+  let detectedId = null;
+  for (const cand of idCandidates) {
+    const i = lowerFields.indexOf(cand);
+    if (i >= 0) { detectedId = fields[i]; break; }
+  }
+
+  // Detect likely amount/date columns
+  const amountCandidates = ["amount", "amt", "total", "total_amount", "value"];
+  const dateCandidates = ["date", "txn_date", "transaction_date", "posted_date", "booking_date"];
+  let detectedAmount = null, detectedDate = null;
+  for (const cand of amountCandidates) {
+    const i = lowerFields.indexOf(cand);
+    if (i >= 0) { detectedAmount = fields[i]; break; }
+  }
+  // Combined debit/credit columns are the amount when configured.
+  if ((options.debitColumn || options.creditColumn) && fields.includes(SIGNED_AMOUNT_FIELD)) {
+    detectedAmount = SIGNED_AMOUNT_FIELD;
+  }
+  for (const cand of dateCandidates) {
+    const i = lowerFields.indexOf(cand);
+    if (i >= 0) { detectedDate = fields[i]; break; }
+  }
+
+  // Duplicates (only if id detected)
+  let duplicates = 0;
+  if (detectedId) {
+    const seen = new Set();
+    for (const r of rows) {
+      const id = stringify(r[detectedId]);
+      if (!id) continue;
+      if (seen.has(id)) duplicates++;
+      else seen.add(id);
+    }
+  }
+
+  // Total amount sum (best effort) and cells that aren't readable amounts
+  let amountSum = null, amountFormat = null, unparseableAmounts = 0;
+  if (detectedAmount) {
+    amountFormat = resolveNumberFormat(options, rows.map(r => r[detectedAmount]));
+    let sum = 0, count = 0;
+    for (const r of rows) {
+      const n = toNumber(r[detectedAmount], amountFormat);
+      if (n !== null) { sum += n; count++; }
+      else if (stringify(r[detectedAmount])) unparseableAmounts++;
+    }
+    amountSum = count ? sum : null;
+  }
+
+  // Date format (checked against every value) and date range
+  let dateMin = null, dateMax = null, dateFormat = null;
+  if (detectedDate) {
+    dateFormat = detectDateFormat(rows.map(r => r[detectedDate]), options.dateFormat);
+    const dates = rows.map(r => normalizeDate(r[detectedDate], dateFormat.format)).filter(Boolean).sort();
+    if (dates.length) { dateMin = dates[0]; dateMax = dates[dates.length - 1]; }
+  }
+
+  // This info is shown on frontend later
+  return {
+    rowCount,
+    fields,
+    detected: { id: detectedId, amount: detectedAmount, date: detectedDate },
+    duplicates,
+    amountSum,
+    dateRange: (dateMin && dateMax) ? { min: dateMin, max: dateMax } : null,
+    dateFormat,
+    amountFormat,
+    unparseable: { amount: unparseableAmounts, date: dateFormat?.invalid ?? 0 },
+    sampleRows
+  };
+}
+
+// Resolve a field mapping for "a" and "b" sides with sensible defaults.
+// An explicit null/"" means "not mapped"; only a missing side falls back.
+function pickField(mapping, key, fallback) {
+  // mapping example: { id: {a:"transaction_id", b:"txn_id"}, amount:{...}, date:{...}, description:{...}}
+  const m = mapping?.[key];
+  if (m && typeof m === "object") {
+    return {
+      a: m.a === undefined ? fallback?.a || null : m.a || null,
+      b: m.b === undefined ? fallback?.b || null : m.b || null
+    };
+  }
+  return { a: fallback?.a || null, b: fallback?.b || null };
+}
+
+// Standard mapping slots; anything else the user compares goes in mapping.extra.
+export const MAPPING_KEYS = ["id", "amount", "date", "description", "currency"];
+
+// Complete a user mapping against the uploaded datasets: unmapped standard slots
+// fall back to the detected columns, and every referenced column (mapping and
+// custom composite keys) must exist in its dataset. Returns { mapping, problems }.
+function resolveMapping({ mapping, rules, mode, meta }) {
+  const problems = [];
+  const check = (side, col, where) => {
+    if (!meta[side].fields.includes(col)) {
+      problems.push(`Unknown column "${col}" in Dataset ${side.toUpperCase()} (${where})`);
+    }
+  };
+
+  const resolved = {};
+  for (const key of MAPPING_KEYS) {
+    const m = mapping?.[key] || {};
+    const pair = {
+      a: m.a === undefined ? meta.a.detected?.[key] ?? null : m.a || null,
+      b: m.b === undefined ? meta.b.detected?.[key] ?? null : m.b || null
+    };
+    if (pair.a) check("a", pair.a, `mapping.${key}.a`);
+    if (pair.b) check("b", pair.b, `mapping.${key}.b`);
+    resolved[key] = pair;
+  }
+
+  resolved.extra = [];
+  (mapping?.extra || []).forEach((m, i) => {
+    if (!m?.a && !m?.b) return;
+    if (!m.a || !m.b) {
+      problems.push(`mapping.extra[${i}] needs a column on both sides`);
+      return;
+    }
+    check("a", m.a, `mapping.extra[${i}].a`);
+    check("b", m.b, `mapping.extra[${i}].b`);
+    resolved.extra.push({ a: m.a, b: m.b });
+  });
+
+  if (mode === "auto" && !(resolved.id.a && resolved.id.b)) {
+    problems.push("Auto match needs an ID column on both sides (mapping.id)");
+  }
+  if (mode === "custom") {
+    (rules?.compositeKeysA || []).forEach((col, i) => check("a", col, `rules.compositeKeysA[${i}]`));
+    (rules?.compositeKeysB || []).forEach((col, i) => check("b", col, `rules.compositeKeysB[${i}]`));
+  }
+
+  if (rules?.comparisons !== undefined && !Array.isArray(rules.comparisons)) {
+    problems.push("rules.comparisons must be an array");
+  }
+  (Array.isArray(rules?.comparisons) ? rules.comparisons : []).forEach((c, i) => {
+    const where = `rules.comparisons[${i}]`;
+    if (!COMPARATORS[c?.type]) {
+      problems.push(`Unknown comparator "${c?.type}" (${where}.type, expected one of: ${Object.keys(COMPARATORS).join(", ")})`);
+    }
+    if (c?.field) {
+      const pair = resolved[c.field];
+      if (!pair || !pair.a || !pair.b) problems.push(`${where} compares "${c.field}" but it isn't mapped on both sides`);
+    } else {
+      if (!c?.a || !c?.b) problems.push(`${where} needs a column on both sides (a and b) or a mapped field`);
+      if (c?.a) check("a", c.a, `${where}.a`);
+      if (c?.b) check("b", c.b, `${where}.b`);
+    }
+  });
+
+  return { mapping: resolved, problems };
+}
+
+/** ---------- Field comparators ---------- **/
+// Normalize free text for similarity checks: lowercase, punctuation collapsed to spaces.
+function normalizeText(v) {
+  return stringify(v).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+// Sørensen–Dice similarity over character bigrams (1 = identical, 0 = nothing shared).
+function textSimilarity(x, y) {
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const g = x.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const g = y.slice(i, i + 2);
+    const n = grams.get(g);
+    if (n) { overlap++; grams.set(g, n - 1); }
+  }
+  return (2 * overlap) / (x.length + y.length - 2);
+}
+
+// One comparator per rule type. Each returns { passed, missing, aNormalized, bNormalized, delta }
+// where delta is B minus A (days for dates, percent for "percent", score for "similarity").
+const COMPARATORS = {
+  exact(a, b) {
+    const x = stringify(a), y = stringify(b);
+    return { passed: x === y, aNormalized: x, bNormalized: y };
+  },
+  caseInsensitive(a, b) {
+    const x = stringify(a).toLowerCase(), y = stringify(b).toLowerCase();
+    return { passed: x === y, aNormalized: x, bNormalized: y };
+  },
+  numeric(a, b, rule) {
+    const x = toNumber(a, rule.aFormats?.number), y = toNumber(b, rule.bFormats?.number);
+    if (x === null || y === null) return { passed: false, missing: true, aNormalized: x, bNormalized: y };
+    const delta = y - x;
+    return { passed: Math.abs(delta) <= rule.tolerance + EPSILON, aNormalized: x, bNormalized: y, delta };
+  },
+  percent(a, b, rule) {
+    const x = toNumber(a, rule.aFormats?.number), y = toNumber(b, rule.bFormats?.number);
+    if (x === null || y === null) return { passed: false, missing: true, aNormalized: x, bNormalized: y };
+    const base = Math.max(Math.abs(x), Math.abs(y));
+    const delta = base === 0 ? 0 : ((y - x) / base) * 100;
+    return { passed: Math.abs(delta) <= rule.tolerance + EPSILON, aNormalized: x, bNormalized: y, delta };
+  },
+  dateWindow(a, b, rule) {
+    const x = normalizeDate(a, rule.aFormats?.date), y = normalizeDate(b, rule.bFormats?.date);
+    if (!x || !y) return { passed: false, missing: true, aNormalized: x, bNormalized: y };
+    const delta = dayNumber(y) - dayNumber(x);
+    return { passed: Math.abs(delta) <= rule.tolerance, aNormalized: x, bNormalized: y, delta };
+  },
+  similarity(a, b, rule) {
+    const x = normalizeText(a), y = normalizeText(b);
+    const delta = textSimilarity(x, y);
+    return { passed: delta >= rule.threshold - EPSILON, aNormalized: x, bNormalized: y, delta };
+  }
+};
+
+// Default comparison labels for the standard mapping slots.
+const SLOT_LABELS = { amount: "Amount", date: "Date", description: "Description" };
+
+// Turn mapping + rules into the list of field comparisons to run on each pair.
+// `formats` ({ a, b }, each { date, number }) tells comparisons how each dataset writes values.
+// rules.comparisons entries look like { field:"amount"|..., type, tolerance?, threshold? }
+// or { a:"Payee", b:"Counterparty", type, label? }. Without it: amount within the
+// amount tolerance, date within the date tolerance, extra fields case-insensitive.
+function resolveComparisons(mapping, rules, formats = {}) {
+  const amountTol = Number(rules?.amountTolerance ?? 0);
+  const dateTolDays = Number(rules?.dateToleranceDays ?? 0);
+  const columnsFor = (field) => pickField(mapping, field, null);
+
+  const entries = Array.isArray(rules?.comparisons) ? rules.comparisons : [
+    { field: "amount", type: "numeric" },
+    { field: "date", type: "dateWindow" },
+    ...(mapping?.extra || []).map(m => ({ a: m?.a, b: m?.b, type: "caseInsensitive" }))
+  ];
+
+  return entries
+    .map(c => {
+      const cols = c?.field ? columnsFor(c.field) : { a: c?.a || null, b: c?.b || null };
+      const type = c?.type || "exact";
+      const defaultTol = type === "numeric" ? amountTol : type === "dateWindow" ? dateTolDays : 0;
+      return {
+        field: c?.field || null,
+        label: c?.label || SLOT_LABELS[c?.field] || c?.field || cols.a,
+        a: cols.a,
+        b: cols.b,
+        type,
+        tolerance: Number(c?.tolerance ?? defaultTol),
+        threshold: Number(c?.threshold ?? 0.8),
+        aFormats: formats.a,
+        bFormats: formats.b
+      };
+    })
+    .filter(c => c.a && c.b && COMPARATORS[c.type]);
+}
+
+// Run one comparison and describe a failure in words for the result's reason.
+function compareField(rule, aRow, bRow) {
+  const aValue = aRow[rule.a], bValue = bRow[rule.b];
+  const out = COMPARATORS[rule.type](aValue, bValue, rule);
+  let message = null;
+  if (!out.passed) {
+    const values = `(${stringify(aValue)} vs ${stringify(bValue)})`;
+    if (out.missing) message = `${rule.label} missing ${values}`;
+    else if (rule.type === "numeric") message = `${rule.label} differs by ${+Math.abs(out.delta).toFixed(6)} ${values}`;
+    else if (rule.type === "percent") message = `${rule.label} differs by ${Math.abs(out.delta).toFixed(2)}% ${values}`;
+    else if (rule.type === "dateWindow") message = `${rule.label} differs by ${Math.abs(out.delta)} day(s) ${values}`;
+    else if (rule.type === "similarity") message = `${rule.label} only ${(out.delta * 100).toFixed(0)}% similar ${values}`;
+    else message = `${rule.label} differs ${values}`;
+  }
+  const code = `${String(rule.label).toUpperCase().replace(/\W+/g, "_")}_${out.missing ? "MISSING" : "MISMATCH"}`;
+  // Converted amounts keep the original amount, currency and rate next to the diff.
+  const fx = rule.a === CONVERTED_AMOUNT_FIELD ? { aFx: aRow.__fx ?? null, bFx: bRow.__fx ?? null } : {};
+  return { ...out, ...fx, rule, aValue, bValue, code, message };
+}
+
+// Structured per-field diff returned with every compared pair (drawer + export use it).
+function toDiff(check) {
+  const { rule } = check;
+  return {
+    field: rule.label,
+    aField: rule.a,
+    bField: rule.b,
+    aValue: check.aValue ?? null,
+    bValue: check.bValue ?? null,
+    aNormalized: check.aNormalized ?? null,
+    bNormalized: check.bNormalized ?? null,
+    delta: check.delta ?? null,
+    rule: rule.type === "similarity"
+      ? { type: rule.type, threshold: rule.threshold }
+      : { type: rule.type, tolerance: rule.tolerance },
+    passed: check.passed,
+    missing: !!check.missing,
+    message: check.message,
+    ...(check.aFx !== undefined && { aFx: check.aFx, bFx: check.bFx })
+  };
+}
+
+// Build a composite key for custom matching rules (values read with the dataset's formats).
+function buildKey(record, fields, rules, formats) {
+  // fields: array of field names used to build composite key
+  const parts = [];
+  for (const f of fields) {
+    const v = record[f];
+    if (rules?.fieldTypes?.[f] === "number") parts.push(String(toNumber(v, formats?.number) ?? ""));
+    else if (rules?.fieldTypes?.[f] === "date") parts.push(String(normalizeDate(v, formats?.date) ?? ""));
+    else parts.push(stringify(v).toLowerCase());
+  }
+  return parts.join("||");
+}
+
+// Numeric slack so float noise (0.1 + 0.2) never pushes a value outside its tolerance.
+const EPSILON = 1e-9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Turn a YYYY-MM-DD string into a whole day number for window comparisons.
+function dayNumber(iso) {
+  if (!iso) return null;
+  return Math.round(new Date(iso + "T00:00:00Z").getTime() / DAY_MS);
+}
+
+// Pair up composite key fields (A[i] with B[i]) with their type and tolerance window.
+function keySpecs(rules, formats = {}) {
+  const keysA = rules?.compositeKeysA || [];
+  const keysB = rules?.compositeKeysB || [];
+  const amountTol = Number(rules?.amountTolerance ?? 0);
+  const dateTolDays = Number(rules?.dateToleranceDays ?? 0);
+  return keysA.map((fa, i) => {
+    const fb = keysB[i] ?? fa;
+    const type = rules?.fieldTypes?.[fa] || rules?.fieldTypes?.[fb] || "string";
+    const tolerance = type === "number" ? amountTol : type === "date" ? dateTolDays : 0;
+    return { a: fa, b: fb, type, tolerance, aFormats: formats.a, bFormats: formats.b };
+  });
+}
+
+// Read one key value as a comparable primitive (number, day number or lowercased text).
+function keyValue(record, field, type, formats) {
+  const v = record[field];
+  if (type === "number") return toNumber(v, formats?.number);
+  if (type === "date") return dayNumber(normalizeDate(v, formats?.date));
+  return stringify(v).toLowerCase();
+}
+
+// Index B rows for tolerance-aware lookups.
+// Text keys must match exactly, so they pick a bucket; inside a bucket rows are
+// sorted by the first number (or date) key so a window lookup is a binary search.
+function buildCandidateIndex(bRows, specs) {
+  const numberAt = specs.findIndex(s => s.type === "number");
+  const rangeAt = numberAt >= 0 ? numberAt : specs.findIndex(s => s.type === "date");
+  const buckets = new Map();
+  if (!specs.length) return { specs, rangeAt, buckets };
+
+  for (const row of bRows) {
+    const values = specs.map(s => keyValue(row, s.b, s.type, s.bFormats));
+    if (values.some(v => v === null)) continue; // unusable key, can only end up MISSING_IN_A
+    const bucketKey = specs.map((s, i) => (s.type === "string" ? values[i] : "")).join("||");
+    if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+    buckets.get(bucketKey).push({ row, values });
+  }
+  if (rangeAt >= 0) {
+    for (const list of buckets.values()) list.sort((x, y) => x.values[rangeAt] - y.values[rangeAt]);
+  }
+  return { specs, rangeAt, buckets };
+}
+
+// Find the best unused B row for an A row: every number/date key must sit inside
+// its tolerance window; candidates are scored by their distance relative to the
+// tolerance (0 = exact) and ties go to the earliest B row.
+function findBestCandidate(index, aRow, isUsed) {
+  const { specs, rangeAt, buckets } = index;
+  if (!specs.length) return null;
+
+  const values = specs.map(s => keyValue(aRow, s.a, s.type, s.aFormats));
+  if (values.some(v => v === null)) return null;
+  const bucketKey = specs.map((s, i) => (s.type === "string" ? values[i] : "")).join("||");
+  const list = buckets.get(bucketKey);
+  if (!list) return null;
+
+  // Narrow to the window on the range key with a lower-bound binary search.
+  let start = 0;
+  if (rangeAt >= 0) {
+    const lowest = values[rangeAt] - specs[rangeAt].tolerance - EPSILON;
+    let lo = 0, hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].values[rangeAt] < lowest) lo = mid + 1;
+      else hi = mid;
+    }
+    start = lo;
+  }
+
+  let best = null, bestScore = Infinity;
+  for (let i = start; i < list.length; i++) {
+    const cand = list[i];
+    if (rangeAt >= 0 && cand.values[rangeAt] > values[rangeAt] + specs[rangeAt].tolerance + EPSILON) break;
+    if (isUsed(cand.row)) continue;
+
+    let score = 0, inWindow = true;
+    for (let k = 0; k < specs.length; k++) {
+      if (specs[k].type === "string") continue;
+      const d = Math.abs(values[k] - cand.values[k]);
+      if (d > specs[k].tolerance + EPSILON) { inWindow = false; break; }
+      score += specs[k].tolerance > 0 ? d / specs[k].tolerance : 0;
+    }
+    if (!inWindow) continue;
+    if (score < bestScore || (score === bestScore && cand.row.__rowId < best.__rowId)) {
+      best = cand.row;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Compare two score tuples element by element (lower wins).
+function lexLess(x, y) {
+  for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return x[i] < y[i];
+  return false;
+}
+
+// Split/aggregate search limits: how many rows may form one group, how many
+// nearby rows are considered per target, and a DFS step budget per target.
+const DEFAULT_MAX_GROUP_SIZE = 3;
+const MAX_GROUP_SIZE = 6;
+const GROUP_POOL_LIMIT = 40;
+const GROUP_SEARCH_BUDGET = 50000;
+
+// Find the smallest subset of `pool` (rows with |amount| sorted descending) whose
+// amounts sum to `goal` within tolerance. Returns the member rows or null.
+function findSubsetSum(goal, pool, amountTol, maxSize) {
+  let steps = 0;
+  for (let size = 2; size <= Math.min(maxSize, pool.length); size++) {
+    const picked = [];
+    const dfs = (start, sum) => {
+      if (picked.length === size) return Math.abs(sum - goal) <= amountTol + EPSILON;
+      const slots = size - picked.length;
+      for (let i = start; i <= pool.length - slots; i++) {
+        if (++steps > GROUP_SEARCH_BUDGET) return false;
+        const next = sum + pool[i].amount;
+        if (next > goal + amountTol + EPSILON) continue; // too big; smaller amounts follow
+        // Even filling every open slot with this (largest remaining) amount falls short.
+        if (sum + pool[i].amount * slots < goal - amountTol - EPSILON) break;
+        picked.push(pool[i]);
+        if (dfs(i + 1, next)) return true;
+        picked.pop();
+      }
+      return false;
+    };
+    if (dfs(0, 0)) return picked.map(p => p.row);
+    if (steps > GROUP_SEARCH_BUDGET) break;
+  }
+  return null;
+}
+
+// Index rows for group candidate lookups, amount and day number read once per row: per
+// sign, the distinct days in order and each day's rows by |amount| descending. Without
+// dates every row sits on day 0; with them, rows whose date doesn't read are left out
+// (as in the one-to-one candidate window). Rows already taken aren't indexed.
+function buildGroupIndex(rows, fields, useDates, taken) {
+  const signs = { 1: new Map(), [-1]: new Map() };
+  for (const row of rows) {
+    if (taken.has(row.__rowId)) continue;
+    const n = toNumber(row[fields.amount], fields.formats?.number);
+    if (n === null || n === 0) continue;
+    const day = useDates ? dayNumber(normalizeDate(row[fields.date], fields.formats?.date)) : 0;
+    if (day === null) continue;
+    const byDay = signs[Math.sign(n)];
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push({ row, amount: Math.abs(n), day });
+  }
+  const index = {};
+  for (const [sign, byDay] of Object.entries(signs)) {
+    for (const list of byDay.values()) list.sort((x, y) => y.amount - x.amount || x.row.__rowId - y.row.__rowId);
+    index[sign] = { days: [...byDay.keys()].sort((x, y) => x - y), byDay };
+  }
+  return index;
+}
+
+// Up to GROUP_POOL_LIMIT untaken rows of `index` with |amount| <= `most`, inside the date
+// window around `day`: nearest days first, larger amounts first within a day.
+function groupPool({ days, byDay }, day, most, dateTolDays, taken) {
+  const pool = [];
+  // Days in order outward from `day`: left walks down, right walks up.
+  let right = 0, hi = days.length;
+  while (right < hi) {
+    const mid = (right + hi) >> 1;
+    if (days[mid] < day) right = mid + 1;
+    else hi = mid;
+  }
+  let left = right - 1;
+  while (pool.length < GROUP_POOL_LIMIT) {
+    const gapLeft = left >= 0 ? day - days[left] : Infinity;
+    const gapRight = right < days.length ? days[right] - day : Infinity;
+    if (Math.min(gapLeft, gapRight) > dateTolDays) break;
+    const list = byDay.get(gapLeft <= gapRight ? days[left--] : days[right++]);
+    // Skip the amounts that are too big with a binary search (the list runs largest first).
+    let i = 0, end = list.length;
+    while (i < end) {
+      const mid = (i + end) >> 1;
+      if (list[mid].amount > most) i = mid + 1;
+      else end = mid;
+    }
+    for (; i < list.length && pool.length < GROUP_POOL_LIMIT; i++) {
+      if (!taken.has(list[i].row.__rowId)) pool.push(list[i]);
+    }
+  }
+  return pool;
+}
+
+// Pair leftover rows into split/aggregated groups: each `target` row is matched
+// against several `others` rows (same sign, inside the date window) whose amounts
+// sum to the target amount. Taken row ids are tracked per side in the given Sets.
+// Dates only count when both sides have a date column. `progress(done, total)` follows
+// the targets.
+function matchGroups({ targets, others, targetFields, otherFields, targetTaken, otherTaken, amountTol, dateTolDays, maxSize, progress }) {
+  const useDates = !!(targetFields.date && otherFields.date);
+  const index = buildGroupIndex(others, otherFields, useDates, otherTaken);
+  const groups = [];
+  targets.forEach((target, i) => {
+    progress?.(i, targets.length);
+    if (targetTaken.has(target.__rowId)) return;
+    const amount = toNumber(target[targetFields.amount], targetFields.formats?.number);
+    if (amount === null || amount === 0) return;
+    const day = useDates ? dayNumber(normalizeDate(target[targetFields.date], targetFields.formats?.date)) : 0;
+    if (day === null) return;
+
+    const pool = groupPool(index[Math.sign(amount)], day, Math.abs(amount) + amountTol + EPSILON, dateTolDays, otherTaken);
+    if (pool.length < 2) return;
+    pool.sort((x, y) => y.amount - x.amount || x.row.__rowId - y.row.__rowId);
+
+    const members = findSubsetSum(Math.abs(amount), pool, amountTol, maxSize);
+    if (!members) return;
+    targetTaken.add(target.__rowId);
+    for (const m of members) otherTaken.add(m.__rowId);
+    groups.push({ target, members: members.sort((x, y) => x.__rowId - y.__rowId) });
+  });
+  progress?.(targets.length, targets.length);
+  return groups;
+}
+
+//Reconcile           
+// Core reconciliation engine for auto ID matching or custom composite keys.
+// Columns assumed when the mapping leaves a field out.
+const DEFAULT_FIELDS = {
+  id: { a: "transaction_id", b: "transaction_id" },
+  amount: { a: "amount", b: "amount" },
+  date: { a: "date", b: "date" },
+  description: { a: "description", b: "description" },
+};
+
+function reconcile({ aRows, bRows, mapping, mode, rules, parseOptions, onProgress }) {
+  // rules: { amountTolerance:number, dateToleranceDays:number, compositeKeysA:[...], compositeKeysB:[...],
+  //          groupMatching:boolean, maxGroupSize:number }
+  // onProgress({ phase, done, total }) goes through "indexing" (B), "matching" (A) and
+  // "summarizing" (the results).
+  const report = progressReporter(onProgress);
+  const amountTol = Number(rules?.amountTolerance ?? 0);
+  const dateTolDays = Number(rules?.dateToleranceDays ?? 0);
+  const maxGroupSize = Math.min(MAX_GROUP_SIZE, Math.max(2, Number(rules?.maxGroupSize) || DEFAULT_MAX_GROUP_SIZE));
+
+  const fallback = DEFAULT_FIELDS;
+
+  const idField = pickField(mapping, "id", fallback.id);
+  const amountField = pickField(mapping, "amount", fallback.amount);
+  const dateField = pickField(mapping, "date", fallback.date);
+
+  // Read each dataset's dates one way for the whole run: the configured format wins,
+  // otherwise it is detected from the mapped date column (or first date-typed key).
+  const dateInfo = {};
+  for (const side of ["a", "b"]) {
+    const rows = side === "a" ? aRows : bRows;
+    const keys = (side === "a" ? rules?.compositeKeysA : rules?.compositeKeysB) || [];
+    const column = dateField[side] || (mode === "custom" ? keys.find(f => rules?.fieldTypes?.[f] === "date") : null);
+    dateInfo[side] = column
+      ? { column, ...detectDateFormat(rows.map(r => r[column]), parseOptions?.[side]?.dateFormat) }
+      : null;
+  }
+
+  // Same for amount notation, detected from the mapped amount column.
+  const amountInfo = {};
+  for (const side of ["a", "b"]) {
+    const rows = side === "a" ? aRows : bRows;
+    const keys = (side === "a" ? rules?.compositeKeysA : rules?.compositeKeysB) || [];
+    const column = amountField[side] || (mode === "custom" ? keys.find(f => rules?.fieldTypes?.[f] === "number") : null);
+    amountInfo[side] = { column, ...resolveNumberFormat(parseOptions?.[side], column ? rows.map(r => r[column]) : []) };
+  }
+  const formats = {
+    a: { date: dateInfo.a?.format, number: amountInfo.a },
+    b: { date: dateInfo.b?.format, number: amountInfo.b }
+  };
+
+  const comparisons = resolveComparisons({
+    ...mapping,
+    amount: amountField,
+    date: dateField,
+    description: pickField(mapping, "description", fallback.description)
+  }, rules, formats);
+
+  let results = [];
+
+  const bUsed = new Set();
+
+  const statusCounts = {
+    MATCHED: 0, MATCHED_GROUP: 0, MISMATCH: 0, MISSING_IN_B: 0, MISSING_IN_A: 0, DUPLICATE_IN_A: 0, DUPLICATE_IN_B: 0
+  };
+
+  //Tolerance: every configured field comparison for one A/B pair.
+  const comparePair = (a, b) => comparisons.map(rule => compareField(rule, a, b));
+
+  // Among same-key B rows still unused, prefer the one agreeing best on the compared
+  // fields (fewest failed checks, then smallest numeric/date gaps); ties keep file order.
+  const pickById = (a, candidates) => {
+    let best = null, bestScore = null;
+    for (const b of candidates || []) {
+      if (bUsed.has(b.__rowId)) continue;
+      const checks = comparePair(a, b);
+      const score = [
+        checks.filter(c => !c.passed).length,
+        checks.reduce((acc, c) => acc + (c.missing ? Infinity : ["numeric", "dateWindow"].includes(c.rule.type) ? Math.abs(c.delta) : 0), 0)
+      ];
+      if (!best || lexLess(score, bestScore)) { best = b; bestScore = score; }
+    }
+    return best;
+  };
+
+  // Build lookup for B based on chosen mode.
+  let bIndex = new Map();
+  let candidateIndex = null;
+
+  report("indexing", 0, bRows.length);
+  if (mode === "auto") {
+    // Prefer transaction_id if both sides have it
+    const bId = idField.b;
+    bRows.forEach((r, i) => {
+      report("indexing", i, bRows.length);
+      const id = bId ? stringify(r[bId]) : "";
+      if (!id) return;
+      // keep every row per id; duplicates are paired by pickById below
+      if (!bIndex.has(id)) bIndex.set(id, []);
+      bIndex.get(id).push(r);
+    });
+  } else {
+    // custom composite keys, searched within the amount/date tolerance windows
+    candidateIndex = buildCandidateIndex(bRows, keySpecs(rules, formats));
+  }
+  report("indexing", bRows.length, bRows.length);
+
+  const aKeyField = (mode === "auto") ? idField.a : null;
+  const keysA = (mode === "custom") ? (rules?.compositeKeysA || []) : null;
+
+  // The matching loop: walk A and try to find a matching B. With group matching on,
+  // "matching" also covers its two passes (leftover A rows, then B rows).
+  const matchingTotal = aRows.length + (rules?.groupMatching ? aRows.length + bRows.length : 0);
+  let matched = 0;
+  for (const a of aRows) {
+    report("matching", matched++, matchingTotal);
+    const key = (mode === "auto")
+      ? stringify(a[aKeyField] ?? "")
+      : buildKey(a, keysA, rules, formats.a);
+
+    const b = (mode === "auto")
+      ? (key ? pickById(a, bIndex.get(key)) : null)
+      : findBestCandidate(candidateIndex, a, r => bUsed.has(r.__rowId));
+
+    if (!key || !b) {
+      statusCounts.MISSING_IN_B++;
+      results.push({
+        status: "MISSING_IN_B",
+        key,
+        reason: "MISSING_IN_B",
+        a,
+        b: null
+      });
+      continue;
+    }
+
+    bUsed.add(b.__rowId);
+
+    // Validate every configured field comparison (amount/date tolerances, text rules...).
+    const diffs = comparePair(a, b).map(toDiff);
+    const failed = diffs.filter(d => !d.passed);
+
+    if (failed.length === 0) {
+      statusCounts.MATCHED++;
+      results.push({
+        status: "MATCHED",
+        key,
+        reason: "MATCHED",
+        a,
+        b,
+        diffs
+      });
+    } else {
+      statusCounts.MISMATCH++;
+      results.push({
+        status: "MISMATCH",
+        key,
+        a,
+        b,
+        reason: failed.map(d => d.message).join(" | "),
+        diffs
+      });
+    }
+  }
+
+  // Split/aggregated transactions: leftover A rows settled by several B rows, then
+  // leftover B rows (e.g. batch deposits) covering several A rows.
+  if (rules?.groupMatching) {
+    const aGrouped = new Set();
+    const leftoverA = results.filter(r => r.status === "MISSING_IN_B").map(r => r.a);
+    const aSide = { amount: amountField.a, date: dateField.a, formats: formats.a };
+    const bSide = { amount: amountField.b, date: dateField.b, formats: formats.b };
+    const keyOf = (row, side) => (mode === "auto")
+      ? stringify(row[side === "a" ? idField.a : idField.b] ?? "")
+      : buildKey(row, (side === "a" ? rules?.compositeKeysA : rules?.compositeKeysB) || [], rules, formats[side]);
+
+    const oneToMany = matchGroups({
+      targets: leftoverA, others: bRows, targetFields: aSide, otherFields: bSide,
+      targetTaken: aGrouped, otherTaken: bUsed, amountTol, dateTolDays, maxSize: maxGroupSize,
+      progress: (done, total) => report("matching", aRows.length + Math.floor((total ? done / total : 1) * aRows.length), matchingTotal)
+    });
+    const manyToOne = matchGroups({
+      targets: bRows, others: leftoverA, targetFields: bSide, otherFields: aSide,
+      targetTaken: bUsed, otherTaken: aGrouped, amountTol, dateTolDays, maxSize: maxGroupSize,
+      progress: (done) => report("matching", 2 * aRows.length + done, matchingTotal)
+    });
+
+    if (aGrouped.size) {
+      const before = results.length;
+      results = results.filter(r => r.status !== "MISSING_IN_B" || !aGrouped.has(r.a.__rowId));
+      statusCounts.MISSING_IN_B -= before - results.length;
+    }
+
+    const sumOf = (rows, side) => rows.reduce((acc, r) => acc + (toNumber(r[amountField[side]], formats[side].number) ?? 0), 0);
+    const pushGroup = (aMembers, bMembers, key) => {
+      statusCounts.MATCHED_GROUP++;
+      results.push({
+        status: "MATCHED_GROUP",
+        key,
+        reason: `${aMembers.length} A row(s) = ${bMembers.length} B row(s) ` +
+          `(${sumOf(aMembers, "a").toFixed(2)} vs ${sumOf(bMembers, "b").toFixed(2)})`,
+        a: aMembers[0],
+        b: bMembers[0],
+        group: { a: aMembers, b: bMembers }
+      });
+    };
+    for (const g of oneToMany) pushGroup([g.target], g.members, keyOf(g.target, "a"));
+    for (const g of manyToOne) pushGroup(g.members, [g.target], keyOf(g.target, "b"));
+  }
+
+  report("matching", matchingTotal, matchingTotal);
+
+  // Missing in A: any B not used.
+  report("summarizing", 0, 1);
+  for (const b of bRows) {
+    if (!bUsed.has(b.__rowId)) {
+      statusCounts.MISSING_IN_A++;
+      results.push({
+        status: "MISSING_IN_A",
+        key: (mode === "auto") ? stringify(b[idField.b] ?? "") : null,
+        reason: "MISSING_IN_A",
+        a: null,
+        b
+      });
+    }
+  }
+
+  // Duplicate leftovers: an unpaired row whose key repeats on its own side while a
+  // sibling with that key was paired is a surplus duplicate, not a missing record.
+  const aKeyOf = row => (mode === "auto") ? stringify(row[idField.a] ?? "") : buildKey(row, keysA, rules, formats.a);
+  const bKeyOf = row => (mode === "auto") ? stringify(row[idField.b] ?? "") : buildKey(row, rules?.compositeKeysB || [], rules, formats.b);
+  const countKeys = (rows, keyOf) => {
+    const counts = new Map();
+    for (const r of rows) {
+      const k = keyOf(r);
+      if (k) counts.set(k, (counts.get(k) || 0) + 1);
+    }
+    return counts;
+  };
+  const aKeyCounts = countKeys(aRows, aKeyOf);
+  const bKeyCounts = countKeys(bRows, bKeyOf);
+  const pairedAKeys = new Set(), pairedBKeys = new Set();
+  for (const r of results) {
+    if (r.status === "MISSING_IN_A" || r.status === "MISSING_IN_B") continue;
+    for (const row of r.group ? r.group.a : [r.a]) pairedAKeys.add(aKeyOf(row));
+    for (const row of r.group ? r.group.b : [r.b]) pairedBKeys.add(bKeyOf(row));
+  }
+  for (const r of results) {
+    if (r.status === "MISSING_IN_B") {
+      const k = aKeyOf(r.a);
+      if (aKeyCounts.get(k) > 1 && pairedAKeys.has(k)) {
+        statusCounts.MISSING_IN_B--;
+        statusCounts.DUPLICATE_IN_A++;
+        Object.assign(r, { status: "DUPLICATE_IN_A", reason: `Duplicate key in A (${aKeyCounts.get(k)} rows share it)` });
+      }
+    } else if (r.status === "MISSING_IN_A") {
+      const k = bKeyOf(r.b);
+      if (bKeyCounts.get(k) > 1 && pairedBKeys.has(k)) {
+        statusCounts.MISSING_IN_A--;
+        statusCounts.DUPLICATE_IN_B++;
+        Object.assign(r, { status: "DUPLICATE_IN_B", key: k, reason: `Duplicate key in B (${bKeyCounts.get(k)} rows share it)` });
+      }
+    }
+  }
+
+  // Stable ids from the rows each result covers (used by manual overrides and the UI).
+  for (const r of results) r.id = entryRows(r).join("|");
+
+  // Summary counts for the UI.
+  const total = results.length;
+  const totals = amountTotals({ mapping, amountFormats: amountInfo, results });
+  report("summarizing", 1, 1);
+  return {
+    summary: { ...statusCounts, total },
+    totals,
+    dateFormats: dateInfo,
+    amountFormats: amountInfo,
+    results
+  };
+}
+
+/** ---------- Currency conversion ---------- **/
+
+// Columns added to each row when amounts are converted to the base currency.
+const CONVERTED_AMOUNT_FIELD = "converted_amount";
+const FX_RATE_FIELD = "fx_rate";
+const CURRENCY_SYMBOLS = { "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR", "CHF": "CHF" };
+
+// ISO code for a cell ("eur", "€" -> "EUR"); null when it isn't one.
+function currencyCode(v) {
+  const s = stringify(v).toUpperCase();
+  if (CURRENCY_SYMBOLS[s]) return CURRENCY_SYMBOLS[s];
+  return /^[A-Z]{3}$/.test(s) ? s : null;
+}
+
+// Read an uploaded FX table: a date column, the pair as one column ("EUR/USD", "EURUSD")
+// or two (from/to, base/quote), and the rate (1 unit of `from` in `to`). Header names are
+// matched loosely; rows that don't read are listed in `warnings`.
+export function parseFxRates(dataset) {
+  const find = (...names) => dataset.fields.find(f => names.includes(f.toLowerCase().replace(/[\s-]+/g, "_")));
+  const dateCol = find("date", "rate_date", "as_of", "day");
+  const pairCol = find("pair", "currency_pair", "symbol", "ccy_pair");
+  const fromCol = find("from", "base", "from_currency", "base_currency", "currency");
+  const toCol = find("to", "quote", "to_currency", "quote_currency", "target");
+  const rateCol = find("rate", "fx_rate", "exchange_rate", "price", "value");
+  if (!rateCol || (!pairCol && !(fromCol && toCol))) {
+    throw new Error("The FX table needs a rate column and either a pair column (EUR/USD) or from/to currency columns.");
+  }
+
+  const dateFormat = dateCol ? detectDateFormat(dataset.rows.map(r => r[dateCol])).format : null;
+  const rates = [];
+  const warnings = [];
+  dataset.rows.forEach((r, i) => {
+    let from, to;
+    if (pairCol) {
+      const m = stringify(r[pairCol]).toUpperCase().match(/^([A-Z]{3})\s*[/\-_ ]?\s*([A-Z]{3})$/);
+      if (m) [, from, to] = m;
+    } else {
+      from = currencyCode(r[fromCol]);
+      to = currencyCode(r[toCol]);
+    }
+    const rate = toNumber(r[rateCol]);
+    const date = dateCol ? normalizeDate(r[dateCol], dateFormat) : null;
+    const problem = !from || !to ? "unreadable currency pair"
+      : !(rate > 0) ? "rate is not a positive number"
+      : dateCol && !date && stringify(r[dateCol]) ? "unreadable date"
+      : null;
+    if (problem) {
+      if (warnings.length < MAX_PARSE_WARNINGS) warnings.push({ row: i + 1, problem });
+      return;
+    }
+    rates.push({ date, from, to, rate });
+  });
+  if (!rates.length) throw new Error("No usable rates in the FX table.");
+  return { rates, warnings };
+}
+
+// What the API shows about a stored FX table (without the rates themselves).
+export function fxSummary(table) {
+  if (!table) return null;
+  const dates = table.rates.map(r => r.date).filter(Boolean).sort();
+  return {
+    file: table.file,
+    count: table.rates.length,
+    pairs: [...new Set(table.rates.map(r => `${r.from}/${r.to}`))].sort(),
+    from: dates[0] ?? null,
+    to: dates[dates.length - 1] ?? null,
+    warnings: table.warnings
+  };
+}
+
+// Rate to turn `from` into `to` on `date`: the latest quote on or before that day (the
+// latest overall for undated rows), inverted when only `to/from` is quoted.
+function lookupRate(rates, from, to, date) {
+  if (from === to) return { rate: 1, date: null };
+  const pick = (x, y) => rates
+    .filter(r => r.from === x && r.to === y && (!date || !r.date || r.date <= date))
+    .reduce((best, r) => (!best || (r.date || "") > (best.date || "") ? r : best), null);
+  const direct = pick(from, to);
+  if (direct) return { rate: direct.rate, date: direct.date };
+  const inverse = pick(to, from);
+  if (inverse) return { rate: 1 / inverse.rate, date: inverse.date };
+  return null;
+}
+
+// Copies of a dataset's rows with the amount converted to `base`: CONVERTED_AMOUNT_FIELD,
+// FX_RATE_FIELD and `__fx` ({ currency, amount, rate, rateDate, base }) for the drawer.
+// Rows without a currency, amount or rate get a blank converted amount (they then fail the
+// amount comparison) and are counted in `failures`.
+function convertRows(rows, { amountColumn, currencyColumn, defaultCurrency, dateColumn, base, rates, numberFormat, dateFormat }) {
+  const failures = { count: 0, samples: [] };
+  const fail = (r, problem) => {
+    failures.count++;
+    if (failures.samples.length < 20) failures.samples.push({ row: r.__rowId, problem });
+  };
+  const converted = rows.map(r => {
+    const currency = (currencyColumn && currencyCode(r[currencyColumn])) || defaultCurrency || null;
+    const amount = toNumber(r[amountColumn], numberFormat);
+    const date = dateColumn ? normalizeDate(r[dateColumn], dateFormat) : null;
+    const out = { ...r, [CONVERTED_AMOUNT_FIELD]: "", [FX_RATE_FIELD]: "" };
+    if (!currency) { fail(r, "no currency"); return out; }
+    if (amount === null) return out;
+    const found = lookupRate(rates, currency, base, date);
+    if (!found) { fail(r, `no ${currency}/${base} rate${date ? ` on or before ${date}` : ""}`); return out; }
+    // Rounded to cents like any booked amount, so 92 EUR at 1.0869565 is 100.00 USD.
+    out[CONVERTED_AMOUNT_FIELD] = Math.round(amount * found.rate * 100) / 100;
+    out[FX_RATE_FIELD] = +found.rate.toPrecision(10);
+    out.__fx = { currency, amount, rate: out[FX_RATE_FIELD], rateDate: found.date, base };
+    return out;
+  });
+  return { rows: converted, failures };
+}
+
+// The mapping and rules matching runs on once amounts are converted: the amount slot (and
+// any composite key using the amount column) points at CONVERTED_AMOUNT_FIELD.
+function fxMapping(mapping, fx) {
+  if (!fx) return mapping;
+  return { ...mapping, amount: { a: CONVERTED_AMOUNT_FIELD, b: CONVERTED_AMOUNT_FIELD } };
+}
+
+function fxRules(rules, mapping) {
+  if (!rules) return rules;
+  const swap = (keys, column) => keys?.map(k => (k === column ? CONVERTED_AMOUNT_FIELD : k));
+  return {
+    ...rules,
+    compositeKeysA: swap(rules.compositeKeysA, mapping.amount?.a),
+    compositeKeysB: swap(rules.compositeKeysB, mapping.amount?.b),
+    fieldTypes: { ...rules.fieldTypes, [CONVERTED_AMOUNT_FIELD]: "number" }
+  };
+}
+
+// Convert both datasets for a run. options: { baseCurrency, currency: { a, b } } where
+// currency gives each side's default when it has no currency column (mapping.currency) or
+// a blank cell. Returns the rows to match plus what the run records as `fx`.
+function prepareFx(s, mapping, options) {
+  const base = currencyCode(options.baseCurrency);
+  if (!base) throw new Error("fx.baseCurrency must be a 3-letter currency code.");
+  if (!mapping.amount?.a || !mapping.amount?.b) throw new Error("Map the amount column on both sides to convert currencies.");
+  const rows = {};
+  const fx = { baseCurrency: base, currency: {}, columns: {}, rates: fxSummary(s.fxRates), failures: {} };
+  for (const side of ["a", "b"]) {
+    const defaultCurrency = options.currency?.[side] ? currencyCode(options.currency[side]) : null;
+    if (options.currency?.[side] && !defaultCurrency) throw new Error(`fx.currency.${side} must be a 3-letter currency code.`);
+    const currencyColumn = mapping.currency?.[side] || null;
+    if (!currencyColumn && !defaultCurrency) {
+      throw new Error(`Dataset ${side.toUpperCase()} needs a currency column (mapping.currency.${side}) or a default currency (fx.currency.${side}).`);
+    }
+    const dateColumn = mapping.date?.[side] || null;
+    const values = s[side].rows.map(r => r[mapping.amount[side]]);
+    const result = convertRows(s[side].rows, {
+      amountColumn: mapping.amount[side],
+      currencyColumn,
+      defaultCurrency,
+      dateColumn,
+      base,
+      rates: s.fxRates?.rates || [],
+      numberFormat: resolveNumberFormat(s.parseOptions?.[side], values),
+      dateFormat: dateColumn ? detectDateFormat(s[side].rows.map(r => r[dateColumn]), s.parseOptions?.[side]?.dateFormat).format : null
+    });
+    rows[side] = result.rows;
+    fx.currency[side] = defaultCurrency;
+    fx.columns[side] = currencyColumn;
+    fx.failures[side] = result.failures;
+  }
+  return { fx, rows };
+}
+
+/** ---------- Run history ---------- **/
+
+// Rows a result covers, as "a:<rowId>" / "b:<rowId>" (group members included).
+function entryRows(entry) {
+  const refs = [];
+  for (const side of ["a", "b"]) {
+    const rows = entry.group ? entry.group[side] : (entry[side] ? [entry[side]] : []);
+    for (const r of rows) refs.push(`${side}:${r.__rowId}`);
+  }
+  return refs;
+}
+
+// Compare two runs of the same session record by record. Each result of `after` is
+// looked up by its rows in `before`: it is unchanged when the same rows formed one result
+// with the same status, otherwise it's reported with the result(s) they were part of.
+// `results` may be async iterables (a store reading them page by page): `after` is
+// streamed, and of `before` only what a change lists is kept.
+export async function diffRuns(before, after) {
+  const beforeByRow = new Map();
+  for await (const entry of before.results) {
+    const previous = { status: entry.status, reason: entry.reason, key: entry.key, rows: entryRows(entry) };
+    for (const ref of previous.rows) beforeByRow.set(ref, previous);
+  }
+
+  const changes = [];
+  const transitions = {};
+  for await (const entry of after.results) {
+    const refs = entryRows(entry);
+    const previous = [...new Set(refs.map(ref => beforeByRow.get(ref)).filter(Boolean))];
+    const unchanged = previous.length === 1
+      && previous[0].status === entry.status
+      && [...previous[0].rows].sort().join() === [...refs].sort().join();
+    if (unchanged) continue;
+
+    const from = previous.length ? [...new Set(previous.map(p => p.status))].join(" + ") : "NONE";
+    const transition = `${from} -> ${entry.status}`;
+    transitions[transition] = (transitions[transition] || 0) + 1;
+    changes.push({
+      key: entry.key,
+      transition,
+      from: previous,
+      to: { status: entry.status, reason: entry.reason, key: entry.key, rows: refs },
+      a: entry.a,
+      b: entry.b,
+      group: entry.group
+    });
+  }
+
+  const summaryDelta = {};
+  for (const [status, count] of Object.entries(after.summary)) {
+    summaryDelta[status] = count - (before.summary[status] ?? 0);
+  }
+  return { transitions, summaryDelta, changes };
+}
+
+/** ---------- Manual overrides ---------- **/
+
+// Statuses whose rows have no counterpart on the other side (candidates for a manual match).
+const UNPAIRED_A = ["MISSING_IN_B", "DUPLICATE_IN_A"];
+const UNPAIRED_B = ["MISSING_IN_A", "DUPLICATE_IN_B"];
+const PAIRED = ["MATCHED", "MATCHED_GROUP", "MISMATCH"];
+
+// Summary counts recomputed from a run's results.
+function summarize(results) {
+  const summary = {
+    MATCHED: 0, MATCHED_GROUP: 0, MISMATCH: 0, MISSING_IN_B: 0, MISSING_IN_A: 0, DUPLICATE_IN_A: 0, DUPLICATE_IN_B: 0
+  };
+  for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+  return { ...summary, total: results.length };
+}
+
+// Money behind the counts, from each side's amount column (group members included; cells
+// that don't parse count as 0). Sums are null for a side without an amount column:
+//   statuses    { [status]: { count, a, b, difference } }, difference = a - b
+//   total       the same over every result
+//   matched     { a, b } of MATCHED + MATCHED_GROUP
+//   mismatchVariance   net a - b of the mismatches
+//   unmatchedA / unmatchedB   value left without a partner on each side (missing + duplicate)
+function amountTotals({ mapping, amountFormats, results }) {
+  const column = {
+    a: amountFormats?.a?.column ?? mapping?.amount?.a ?? null,
+    b: amountFormats?.b?.column ?? mapping?.amount?.b ?? null
+  };
+  const sumOf = (r, side) => (r.group ? r.group[side] : (r[side] ? [r[side]] : []))
+    .reduce((sum, row) => sum + (toNumber(row[column[side]], amountFormats?.[side]) ?? 0), 0);
+  const empty = () => ({ count: 0, a: column.a ? 0 : null, b: column.b ? 0 : null });
+
+  const statuses = {};
+  for (const status of Object.keys(summarize([])).filter(k => k !== "total")) statuses[status] = empty();
+  const total = empty();
+  for (const r of results) {
+    for (const t of [statuses[r.status], total]) {
+      t.count++;
+      if (column.a) t.a += sumOf(r, "a");
+      if (column.b) t.b += sumOf(r, "b");
+    }
+  }
+  return totalsOf(statuses, total);
+}
+
+// The rest of amountTotals() from its per-status and overall sums.
+function totalsOf(statuses, total) {
+  const round = (n) => n === null ? null : Math.round(n * 100) / 100;
+  for (const t of [...Object.values(statuses), total]) {
+    t.a = round(t.a);
+    t.b = round(t.b);
+    t.difference = t.a !== null && t.b !== null ? round(t.a - t.b) : null;
+  }
+
+  const add = (x, y) => x === null || y === null ? null : round(x + y);
+  return {
+    statuses,
+    total,
+    matched: {
+      a: add(statuses.MATCHED.a, statuses.MATCHED_GROUP.a),
+      b: add(statuses.MATCHED.b, statuses.MATCHED_GROUP.b)
+    },
+    mismatchVariance: statuses.MISMATCH.difference,
+    unmatchedA: add(statuses.MISSING_IN_B.a, statuses.DUPLICATE_IN_A.a),
+    unmatchedB: add(statuses.MISSING_IN_A.b, statuses.DUPLICATE_IN_B.b)
+  };
+}
+
+// A run's summary and totals once `removed` results gave way to `added` ones, worked out
+// from the change alone. Runs stored without totals keep none (reports compute them).
+function shiftSummary(run, removed, added) {
+  const summary = { ...run.summary };
+  for (const [results, step] of [[removed, -1], [added, 1]]) {
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + step;
+    summary.total += step * results.length;
+  }
+  run.summary = summary;
+  if (!run.totals) return;
+
+  const plus = amountTotals({ ...run, results: added });
+  const minus = amountTotals({ ...run, results: removed });
+  const shift = (t, p, m) => ({
+    count: t.count + p.count - m.count,
+    a: t.a === null || p.a === null ? null : t.a + p.a - m.a,
+    b: t.b === null || p.b === null ? null : t.b + p.b - m.b
+  });
+  const statuses = {};
+  for (const status of Object.keys(plus.statuses)) {
+    statuses[status] = shift(run.totals.statuses[status], plus.statuses[status], minus.statuses[status]);
+  }
+  run.totals = totalsOf(statuses, shift(run.totals.total, plus.total, minus.total));
+}
+
+// A run's results with an override's change ({ added, removed: [ids] }) applied: the
+// added results take the place of the first one removed.
+export function spliceResults(results, { added, removed }) {
+  const at = Math.min(...removed.map(id => results.findIndex(r => r.id === id)));
+  const kept = results.filter(r => !removed.includes(r.id));
+  kept.splice(Math.min(at, kept.length), 0, ...added);
+  return kept;
+}
+
+// The field comparisons a run used, rebuilt from its stored mapping, rules and formats.
+function runComparisons(run) {
+  const mapping = fxMapping(run.mapping || {}, run.fx);
+  return resolveComparisons({
+    ...mapping,
+    amount: pickField(mapping, "amount", DEFAULT_FIELDS.amount),
+    date: pickField(mapping, "date", DEFAULT_FIELDS.date),
+    description: pickField(mapping, "description", DEFAULT_FIELDS.description)
+  }, run.rules, {
+    a: { date: run.dateFormats?.a?.format, number: run.amountFormats?.a },
+    b: { date: run.dateFormats?.b?.format, number: run.amountFormats?.b }
+  });
+}
+
+// Manual marker kept on every result an override produced.
+const manualMarker = (action, note, previous, by) => ({
+  action,
+  note: note || "",
+  by: by || null,
+  at: Date.now(),
+  previous: previous.map(p => ({ id: p.id, status: p.status, reason: p.reason }))
+});
+
+// Work out an override on a run and update the run's summary and totals; answers with the
+// change for the store to apply (see spliceResults). Actions:
+//   MATCH   { a: [rowIds], b: [rowIds], note } pairs rows nothing matched (n:m = group)
+//   UNMATCH { entryId, note }                  splits a pair back into unmatched rows
+//   ACCEPT  { entryId, note }                  marks a mismatch as matched; note required
+// `results` only needs the results the override names: the entry, or those holding the
+// picked rows (a run's info is enough for the rest). `by` names the user making the
+// change. Throws with a user-facing message when the override doesn't fit the results.
+export function applyOverride(run, results, action, { a = [], b = [], entryId, note, by }) {
+  const findEntry = () => {
+    const entry = results.find(r => r.id === entryId);
+    if (!entry) throw new Error(`Result ${entryId} not found in this run.`);
+    return entry;
+  };
+  let added = [], removed = [];
+
+  if (action === "MATCH") {
+    if (!a.length || !b.length) throw new Error("Pick at least one row from each dataset to match.");
+    const take = (side, ids, allowed) => ids.map(id => {
+      const entry = results.find(r => r[side]?.__rowId === Number(id) && !r.group);
+      if (!entry) throw new Error(`Row ${id} of dataset ${side.toUpperCase()} not found.`);
+      if (!allowed.includes(entry.status)) {
+        throw new Error(`Row ${id} of dataset ${side.toUpperCase()} is already ${entry.status}; unmatch it first.`);
+      }
+      return entry;
+    });
+    removed = [...new Set([...take("a", a, UNPAIRED_A), ...take("b", b, UNPAIRED_B)])];
+    const aRows = removed.filter(r => r.a).map(r => r.a);
+    const bRows = removed.filter(r => r.b).map(r => r.b);
+    const entry = {
+      status: aRows.length === 1 && bRows.length === 1 ? "MATCHED" : "MATCHED_GROUP",
+      key: removed.find(r => r.a)?.key ?? "",
+      reason: `MANUAL: matched by hand${note ? ` (${note})` : ""}`,
+      a: aRows[0],
+      b: bRows[0],
+      manual: manualMarker("MATCH", note, removed, by)
+    };
+    entry.exception = null;
+    // 1:1 pairs still show how their fields compare; n:m pairs become a group.
+    if (entry.status === "MATCHED") {
+      entry.diffs = runComparisons(run).map(rule => toDiff(compareField(rule, entry.a, entry.b)));
+    } else {
+      entry.group = { a: aRows, b: bRows };
+    }
+    entry.id = entryRows(entry).join("|");
+    added = [entry];
+  } else if (action === "UNMATCH") {
+    const entry = findEntry();
+    if (!PAIRED.includes(entry.status)) throw new Error(`Only matched or mismatched results can be unmatched (this one is ${entry.status}).`);
+    removed = [entry];
+    const marker = manualMarker("UNMATCH", note, removed, by);
+    const reason = `MANUAL: unmatched by hand${note ? ` (${note})` : ""}`;
+    const split = (side, status) => (entry.group ? entry.group[side] : [entry[side]]).map(row => ({
+      status,
+      key: entry.key,
+      reason,
+      a: side === "a" ? row : null,
+      b: side === "b" ? row : null,
+      manual: marker
+    }));
+    added = [...split("a", "MISSING_IN_B"), ...split("b", "MISSING_IN_A")];
+    for (const r of added) {
+      r.id = entryRows(r).join("|");
+      r.exception = newException();
+    }
+  } else if (action === "ACCEPT") {
+    if (!note || !String(note).trim()) throw new Error("Say why the mismatch is accepted (note is required).");
+    const entry = findEntry();
+    if (entry.status !== "MISMATCH") throw new Error(`Only mismatches can be accepted (this one is ${entry.status}).`);
+    removed = [entry];
+    added = [{
+      ...entry,
+      status: "MATCHED",
+      reason: `MANUAL: mismatch accepted (${note}) - ${entry.reason}`,
+      manual: manualMarker("ACCEPT", note, removed, by),
+      exception: closeException(entry.exception, "RESOLVED", `Mismatch accepted: ${note}`, by)
+    }];
+  } else {
+    throw new Error(`Unknown override "${action}".`);
+  }
+
+  shiftSummary(run, removed, added);
+  return { added, removed: removed.map(r => r.id) };
+}
+
+/** ---------- Exceptions ---------- **/
+
+// Case states for results that didn't match. Work starts Open, goes through Investigating
+// and ends Resolved or Written-off; closed cases can be reopened.
+export const EXCEPTION_STATES = ["OPEN", "INVESTIGATING", "RESOLVED", "WRITTEN_OFF"];
+const EXCEPTION_TRANSITIONS = {
+  OPEN: ["INVESTIGATING"],
+  INVESTIGATING: ["OPEN", "RESOLVED", "WRITTEN_OFF"],
+  RESOLVED: ["OPEN"],
+  WRITTEN_OFF: ["OPEN"]
+};
+
+// Every result that isn't a match is an exception to work on.
+const isException = (status) => status !== "MATCHED" && status !== "MATCHED_GROUP";
+
+function newException() {
+  return { state: "OPEN", assignee: null, comments: [], history: [], updatedAt: null };
+}
+
+// Close a case outside the normal flow (e.g. its mismatch was accepted).
+function closeException(exception, state, note, by) {
+  if (!exception) return null;
+  const at = Date.now();
+  return {
+    ...exception,
+    state,
+    history: [...exception.history, { from: exception.state, to: state, note, at, by: by || null }],
+    updatedAt: at
+  };
+}
+
+// Change one result's case: { state?, assignee?, comment?, author? }. `author` is who
+// made the change; state changes must follow EXCEPTION_TRANSITIONS.
+export function updateException(entry, { state, assignee, comment, author }) {
+  const exception = entry.exception;
+  if (!exception) throw new Error("Matched results have no exception to work on.");
+  const at = Date.now();
+  const by = author || null;
+
+  if (state && state !== exception.state) {
+    if (!EXCEPTION_TRANSITIONS[exception.state].includes(state)) {
+      throw new Error(`An exception can't move from ${exception.state} to ${state} (allowed: ${EXCEPTION_TRANSITIONS[exception.state].join(", ")}).`);
+    }
+    exception.history.push({ from: exception.state, to: state, at, by });
+    exception.state = state;
+  }
+  if (assignee !== undefined && (assignee || null) !== exception.assignee) {
+    exception.history.push({ assignee: assignee || null, at, by });
+    exception.assignee = assignee || null;
+  }
+  if (comment && comment.trim()) exception.comments.push({ text: comment.trim(), at, author: by });
+  exception.updatedAt = at;
+  return entry;
+}
+
+/** ---------- Result queries ---------- **/
+
+// Fields a page of results can be sorted by; "position" is the order of the run.
+export const RESULT_SORTS = ["position", "status", "key", "reason", "a", "b", "exception", "assignee"];
+
+// What queries filter, sort and search results on, per result of `run`:
+// { status, exception, assignee, key, reason, a, b, search }. `a` / `b` are the rows' ids
+// (the mapped id column, else the row number); `search` is the lowercase text of the key,
+// reason, assignee and every mapped column of both sides, group members included.
+export function resultIndex(run) {
+  const columns = { a: [], b: [] };
+  const add = (side, col) => { if (col && !columns[side].includes(col)) columns[side].push(col); };
+  for (const pair of [...MAPPING_KEYS.map(k => run.mapping?.[k]), ...(run.mapping?.extra || [])]) {
+    add("a", pair?.a);
+    add("b", pair?.b);
+  }
+  for (const col of run.rules?.compositeKeysA || []) add("a", col);
+  for (const col of run.rules?.compositeKeysB || []) add("b", col);
+
+  const rowsOf = (r, side) => r.group ? r.group[side] : (r[side] ? [r[side]] : []);
+  const ids = (r, side) => rowsOf(r, side)
+    .map(row => stringify(row[run.mapping?.id?.[side]]) || String(row.__rowId))
+    .join(", ");
+
+  return (r) => {
+    const text = [r.key, r.reason, r.exception?.assignee];
+    for (const side of ["a", "b"]) {
+      for (const row of rowsOf(r, side)) for (const col of columns[side]) text.push(row[col]);
+    }
+    return {
+      status: r.status,
+      exception: r.exception?.state ?? "",
+      assignee: r.exception?.assignee ?? "",
+      key: stringify(r.key),
+      reason: stringify(r.reason),
+      a: ids(r, "a"),
+      b: ids(r, "b"),
+      search: text.map(stringify).filter(Boolean).join(" ").toLowerCase()
+    };
+  };
+}
+
+// Page cursors carry the sort value and position of the last result handed out.
+export const encodeCursor = (value, position) => Buffer.from(JSON.stringify({ v: value, p: position })).toString("base64url");
+
+export function decodeCursor(cursor) {
+  try {
+    const { v, p } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (Number.isFinite(p)) return { value: v, position: p };
+  } catch { /* reported below */ }
+  throw new Error("Invalid cursor.");
+}
+
+// One page of a run's results, for stores that keep them in memory. Query (all optional):
+//   { status, exception, search, sort, order: "asc" | "desc", offset, limit, cursor }
+// `cursor` (from a previous page's nextCursor) continues after that page and wins over
+// `offset`. Answers with { results, total, nextCursor, exceptions: { <state>: count } }.
+export function queryResults(run, { status, exception, search, sort = "position", order = "asc", offset = 0, limit = 100, cursor } = {}) {
+  const index = resultIndex(run);
+  const q = search?.trim().toLowerCase();
+  const exceptions = {};
+  let rows = [];
+  run.results.forEach((result, position) => {
+    const entry = index(result);
+    if (entry.exception) exceptions[entry.exception] = (exceptions[entry.exception] || 0) + 1;
+    if (status && entry.status !== status) return;
+    if (exception && entry.exception !== exception) return;
+    if (q && !entry.search.includes(q)) return;
+    rows.push({ result, position, value: sort === "position" ? position : entry[sort] });
+  });
+  const total = rows.length;
+
+  const dir = order === "desc" ? -1 : 1;
+  const compare = (x, y) => dir * (x.value < y.value ? -1 : x.value > y.value ? 1 : x.position - y.position);
+  rows.sort(compare);
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    rows = rows.filter(r => compare(r, after) > 0);
+  } else {
+    rows = rows.slice(offset);
+  }
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    results: page.map(r => r.result),
+    total,
+    nextCursor: rows.length > limit ? encodeCursor(last.value, last.position) : null,
+    exceptions
+  };
+}
+
+// Per-dataset parse options, accepted on upload and on reconcile.
+const sideParseOptions = z.object({
+  dateFormat: z.enum(["auto", ...DATE_FORMATS]).optional(),
+  decimalSeparator: z.enum(["auto", ".", ","]).optional(),
+  thousandsSeparator: z.enum(["auto", ",", ".", " ", "'", "none"]).optional(),
+  stripCurrency: z.boolean().optional(),
+  negativeMarker: z.enum(["DR", "CR"]).optional(),
+  debitColumn: z.string().nullable().optional(),
+  creditColumn: z.string().nullable().optional()
+});
+
+// Read one side's parse options from multipart fields: a JSON `parseOptionsA` object,
+// plus the `dateFormatA` shorthand. Missing options fall back to auto-detection.
+export function readParseOptions(body, suffix) {
+  let options = {};
+  const raw = body?.[`parseOptions${suffix}`];
+  if (raw) {
+    try { options = JSON.parse(raw); } catch { throw new Error(`parseOptions${suffix} must be JSON`); }
+  }
+  if (body?.[`dateFormat${suffix}`]) options.dateFormat = body[`dateFormat${suffix}`];
+  const parsed = sideParseOptions.safeParse(options);
+  if (!parsed.success) {
+    throw new Error(`Invalid parseOptions${suffix}: ${parsed.error.issues.map(i => `${i.path.join(".")} ${i.message}`).join("; ")}`);
+  }
+  return { dateFormat: "auto", ...parsed.data };
+}
+
+// The settings of a run, as POST /api/reconcile takes them and templates store them.
+const columnPair = z.object({ a: z.string().nullable().optional(), b: z.string().nullable().optional() });
+// Matching rules (see reconcile() and resolveComparisons()); numbers must be usable as
+// given rather than turn into NaN and fail every comparison.
+const tolerance = z.number().finite().nonnegative();
+const matchRules = z.object({
+  amountTolerance: tolerance.optional(),
+  dateToleranceDays: tolerance.optional(),
+  compositeKeysA: z.array(z.string()).optional(),
+  compositeKeysB: z.array(z.string()).optional(),
+  fieldTypes: z.record(z.enum(["string", "number", "date"])).optional(),
+  groupMatching: z.boolean().optional(),
+  maxGroupSize: z.number().int().min(2).max(MAX_GROUP_SIZE).optional(),
+  comparisons: z.array(z.object({
+    field: z.enum(MAPPING_KEYS).optional(),
+    a: z.string().optional(),
+    b: z.string().optional(),
+    label: z.string().optional(),
+    type: z.enum(Object.keys(COMPARATORS)).optional(),
+    tolerance: tolerance.optional(),
+    threshold: tolerance.max(1).optional()
+  })).optional()
+});
+export const runSettings = z.object({
+  mode: z.enum(["auto", "custom"]),
+  mapping: z.object({
+    id: columnPair.optional(),
+    amount: columnPair.optional(),
+    date: columnPair.optional(),
+    description: columnPair.optional(),
+    currency: columnPair.optional(),
+    extra: z.array(columnPair).optional()
+  }).optional(),
+  rules: matchRules.optional(),
+  parseOptions: z.object({ a: sideParseOptions.optional(), b: sideParseOptions.optional() }).optional(),
+  // Convert amounts to baseCurrency before matching (rates from /api/sessions/:id/fx-rates).
+  fx: z.object({
+    baseCurrency: z.string(),
+    currency: z.object({ a: z.string().nullable().optional(), b: z.string().nullable().optional() }).optional()
+  }).nullable().optional()
+});
+
+/** ---------- Export ---------- **/
+
+// Export columns of a run: { name, group, value(result) }. Groups: result, a, b (source
+// columns, prefixed a_ / b_), diff (<field>_a/_b/_delta/_ok per compared field), manual
+// and case. "mapped" keeps the mapped source columns, "all" every column of both files.
+export function exportColumns(s, run, include = "mapped") {
+  const columns = [];
+  const add = (group, name, value) => columns.push({ group, name, value });
+
+  add("result", "status", r => r.status);
+  add("result", "reason", r => r.reason);
+  add("result", "key", r => r.key);
+
+  // Group matches list every member on one line, ";"-separated.
+  const members = (r, side, pick) => r.group
+    ? r.group[side].map(pick).join(";")
+    : (r[side] ? pick(r[side]) : "");
+  add("result", "a_rowId", r => members(r, "a", row => row.__rowId ?? ""));
+  add("result", "b_rowId", r => members(r, "b", row => row.__rowId ?? ""));
+
+  const mapped = { a: [], b: [] };
+  for (const pair of [...MAPPING_KEYS.map(k => run.mapping?.[k]), ...(run.mapping?.extra || [])]) {
+    for (const side of ["a", "b"]) {
+      if (pair?.[side] && !mapped[side].includes(pair[side])) mapped[side].push(pair[side]);
+    }
+  }
+  // Converted runs also carry the base-currency amount and the rate used.
+  if (run.fx) for (const side of ["a", "b"]) mapped[side].push(CONVERTED_AMOUNT_FIELD, FX_RATE_FIELD);
+  for (const side of ["a", "b"]) {
+    const fields = include === "all"
+      ? [...mapped[side], ...s[side].fields.filter(f => !mapped[side].includes(f))]
+      : mapped[side];
+    for (const field of fields) add(side, `${side}_${field}`, r => members(r, side, row => row[field] ?? ""));
+  }
+
+  add("diff", "mismatched_fields", r => (r.diffs || []).filter(d => !d.passed).map(d => d.field).join(";"));
+  // Compared fields in first-seen order over the whole run, so filters keep the layout.
+  const diffFields = [];
+  for (const r of run.results) {
+    for (const d of r.diffs || []) if (!diffFields.includes(d.field)) diffFields.push(d.field);
+  }
+  for (const field of diffFields) {
+    const name = diffColumnName(field);
+    const diff = (r) => r.diffs?.find(x => x.field === field);
+    add("diff", `${name}_a`, r => diff(r)?.aNormalized ?? diff(r)?.aValue ?? "");
+    add("diff", `${name}_b`, r => diff(r)?.bNormalized ?? diff(r)?.bValue ?? "");
+    add("diff", `${name}_delta`, r => diff(r)?.delta ?? "");
+    add("diff", `${name}_ok`, r => diff(r) ? (diff(r).passed ? "yes" : "no") : "");
+  }
+
+  add("manual", "manual", r => r.manual ? `MANUAL ${r.manual.action}` : "");
+  add("manual", "manual_note", r => r.manual?.note ?? "");
+  add("case", "exception_state", r => r.exception?.state ?? "");
+  add("case", "assignee", r => r.exception?.assignee ?? "");
+  add("case", "comments", r => (r.exception?.comments || [])
+    .map(c => `${new Date(c.at).toISOString()}${c.author ? ` ${c.author}` : ""}: ${c.text}`)
+    .join(" | "));
+  return columns;
+}
+
+const diffColumnName = (field) => field.toLowerCase().replace(/\W+/g, "_");
+
+// Export columns holding a failed comparison of this result (highlighted in the workbook).
+function mismatchedColumns(r) {
+  const marked = new Set();
+  for (const d of r.diffs || []) {
+    if (d.passed) continue;
+    const name = diffColumnName(d.field);
+    for (const col of [`a_${d.aField}`, `b_${d.bField}`, `${name}_a`, `${name}_b`, `${name}_delta`, `${name}_ok`]) marked.add(col);
+  }
+  return marked;
+}
+
+export const EXPORT_FORMATS = {
+  csv: { type: "text/csv", extension: "csv" },
+  xlsx: { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  pdf: { type: "application/pdf", extension: "pdf" }
+};
+
+/** ---------- Runs ---------- **/
+
+// Read both files into a session ({ createdAt, a, b, parseOptions, meta }); callers add
+// what they keep with it. files: { a, b } shaped like multer's ({ originalname, path or
+// buffer, size }); options: parseOptions, sheets and encodings per side, `lenient`, and
+// `onProgress({ phase: "reading", side, done, total })`.
+export async function loadDatasets(files, { parseOptions = {}, sheets = {}, encodings = {}, lenient = true, onProgress } = {}) {
+  const s = { createdAt: Date.now(), parseOptions: {}, meta: {} };
+  for (const side of ["a", "b"]) {
+    s[side] = await parseUpload(files[side], {
+      sheet: sheets[side],
+      encoding: encodings[side],
+      lenient,
+      onProgress: onProgress && (p => onProgress({ ...p, side }))
+    });
+  }
+  for (const side of ["a", "b"]) {
+    s.parseOptions[side] = { dateFormat: "auto", ...parseOptions[side] };
+    applySignedAmount(s[side], s.parseOptions[side]);
+    s.meta[side] = profileDataset(s[side], s.parseOptions[side]);
+  }
+  return s;
+}
+
+// Put rows a store kept apart from the session document back into it ({ a, b }), with
+// the columns derived from its current parse options.
+export function attachRows(s, rows) {
+  for (const side of ["a", "b"]) {
+    s[side].rows = rows[side];
+    applySignedAmount(s[side], s.parseOptions[side]);
+  }
+  return s;
+}
+
+// Reconcile a session with run settings (see runSettings) and answer with the run to
+// store. New parse options are applied to the session first. Throws on unknown columns
+// (listed in `details`) and unusable FX options. `onProgress` follows the matching (see
+// reconcile()).
+export function createRun(s, { mode, mapping: requested, rules, parseOptions, fx }, { onProgress } = {}) {
+  // New parse options re-derive debit/credit amounts and re-profile the datasets so the
+  // shown stats use the same formats.
+  if (parseOptions) {
+    try {
+      const next = {
+        a: { ...s.parseOptions.a, ...parseOptions.a },
+        b: { ...s.parseOptions.b, ...parseOptions.b }
+      };
+      for (const side of ["a", "b"]) applySignedAmount(s[side], next[side]);
+      for (const side of ["a", "b"]) {
+        s.parseOptions[side] = next[side];
+        s.meta[side] = profileDataset(s[side], next[side]);
+      }
+    } catch (e) {
+      // put back the columns derived from the options still in effect
+      for (const side of ["a", "b"]) applySignedAmount(s[side], s.parseOptions[side]);
+      throw e;
+    }
+  }
+
+  // Reject columns that don't exist instead of silently comparing undefined.
+  const { mapping, problems } = resolveMapping({ mapping: requested, rules, mode, meta: s.meta });
+  if (problems.length) throw Object.assign(new Error(problems.join("; ")), { details: problems });
+
+  // Multi-currency runs match on amounts converted to the base currency.
+  const converted = fx ? prepareFx(s, mapping, fx) : null;
+
+  const recon = reconcile({
+    aRows: converted ? converted.rows.a : s.a.rows,
+    bRows: converted ? converted.rows.b : s.b.rows,
+    mapping: fxMapping(mapping, converted?.fx),
+    mode,
+    rules: converted ? fxRules(rules, mapping) : rules,
+    parseOptions: s.parseOptions,
+    onProgress
+  });
+
+  // Results that didn't match open an exception case each.
+  for (const r of recon.results) r.exception = isException(r.status) ? newException() : null;
+
+  // Every run is kept with the settings it used; the latest is the default for export.
+  return {
+    id: nanoid(10),
+    createdAt: Date.now(),
+    mode,
+    mapping,
+    rules: rules ?? null,
+    parseOptions: s.parseOptions,
+    fx: converted?.fx ?? null,
+    ...recon
+  };
+}
+
+// A run as a file. Rows are filtered by status (`filter`, "ALL" for every row) and
+// exception state; columns follow `include` ("mapped" or "all") unless `columns` names
+// them in order (unknown names throw). Answers with { body, rows, columns }.
+export async function renderExport(s, run, { sessionId, format = "csv", filter = "ALL", exception = null, include = "mapped", columns: wanted = null, generatedBy = null } = {}) {
+  if (!EXPORT_FORMATS[format]) throw new Error(`Unknown format "${format}" (expected csv, xlsx or pdf).`);
+  const rows = run.results
+    .filter(r => filter === "ALL" ? true : r.status === filter)
+    .filter(r => !exception || r.exception?.state === exception);
+
+  let columns = exportColumns(s, run, wanted ? "all" : include);
+  if (wanted) {
+    const unknown = wanted.filter(name => !columns.some(c => c.name === name));
+    if (unknown.length) throw new Error(`Unknown export column(s): ${unknown.join(", ")}`);
+    columns = wanted.map(name => columns.find(c => c.name === name));
+  }
+
+  let body;
+  if (format === "csv") {
+    body = Papa.unparse({
+      fields: columns.map(c => c.name),
+      data: rows.map(r => columns.map(c => c.value(r)))
+    });
+  } else {
+    const report = { sessionId, run, meta: s.meta, columns, results: rows, totals: run.totals || amountTotals(run) };
+    body = format === "xlsx"
+      ? await buildWorkbook({ ...report, highlight: mismatchedColumns })
+      : await buildPdfReport({ ...report, generatedBy });
+  }
+  return { body, rows, columns };
+}
+
+// Whether a run leaves more exceptions open than allowed: `max` is a count ("5") or a
+// share of all records ("2%"). Answers with { exceptions, total, limit, exceeded }.
+export function checkThreshold(run, max) {
+  const m = String(max).trim().match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!m) throw new Error(`Exception threshold "${max}" must be a count (5) or a percentage (2%).`);
+  const total = run.results.length;
+  const exceptions = run.results.filter(r => r.exception && !["RESOLVED", "WRITTEN_OFF"].includes(r.exception.state)).length;
+  const limit = m[2] ? (Number(m[1]) / 100) * total : Number(m[1]);
+  return { exceptions, total, limit, exceeded: exceptions > limit };
+}
@@ -4,447 +4,877 @@ import multer from "multer";
 import Papa from "papaparse";
 import { nanoid } from "nanoid";
 import { z } from "zod";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createSessionStore, createUserStore, createAuditLog, createTemplateStore, runInfo } from "./storage.js";
+import { createTaskRunner, sessionSummary } from "./tasks.js";
+import { createJobs } from "./jobs.js";
+import { hashPassword, verifyPassword, createLoginThrottle, loadSecret, issueToken, requireAuth, publicUser, DOWNLOAD_SCOPE } from "./auth.js";
+import {
+  runSettings, MAPPING_KEYS, SIGNED_AMOUNT_FIELD, EXCEPTION_STATES, EXPORT_FORMATS, RESULT_SORTS,
+  readParseOptions, parseUpload, parseFxRates, fxSummary, renderExport, checkThreshold,
+  exportColumns, diffRuns, applyOverride, updateException
+} from "./engine.js";
 
 // Flow map:
-// 1) Upload CSVs -> /api/sessions -> parse + profile + sessionId.
-// 2) Reconcile -> /api/reconcile -> match + summarize + store last result.
-// 3) Export -> /api/export/:sessionId -> CSV download of last result.
+// 1) Upload CSV/TSV/XLSX/JSON -> /api/sessions -> parse + profile + sessionId.
+// 2) Reconcile -> /api/reconcile -> a job (polled at /api/jobs/:id) that matches,
+//    summarizes and stores the run; its results are read a page at a time from
+//    /api/sessions/:id/results.
+// 3) Export -> /api/export/:sessionId -> CSV download of a run (the latest by default).
+// POST /api/run does all three in one request (for scripts; bin/recon.js works offline).
+// Parsing, matching and exports live in ./engine.js; reading uploads and matching run in
+// worker threads (./tasks.js); sessions persist in ./storage.js until they expire or
+// DELETE /api/sessions/:id.
+// Everything under /api but /api/auth needs a bearer token; sessions belong to their uploader.
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "5mb" }));
 
-// Keep uploads in memory; CSVs are parsed immediately and not persisted.
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+// Uploads go to temporary files (UPLOAD_DIR), are parsed as a stream and deleted once the
+// request is answered; UPLOAD_MAX_MB caps each file.
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 250);
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), "recon-uploads");
+const upload = multer({ dest: UPLOAD_DIR, limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 } });
+
+// Put in front of multer on upload routes.
+function removeUploads(req, res, next) {
+  res.on("close", () => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    for (const f of files) fs.promises.unlink(f.path).catch(() => {});
+  });
+  next();
+}
 
-// In-memory sessions keyed by sessionId (no DB in this app).
-const sessions = new Map();
+// Sessions keyed by sessionId live in a pluggable store (a SQLite file by default,
+// SESSION_STORE=memory keeps them in memory) and expire SESSION_TTL_HOURS after last use.
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 72);
+const SESSION_DB = process.env.SESSION_DB || new URL("../data/sessions.db", import.meta.url).pathname;
+const sessionStoreOptions = {
+  driver: process.env.SESSION_STORE || "sqlite",
+  file: SESSION_DB,
+  ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000
+};
+const sessions = createSessionStore(sessionStoreOptions);
+// Uploads and reconciliations run off the HTTP thread (at most RECON_WORKERS at a time).
+const tasks = createTaskRunner({ store: sessions, storeOptions: sessionStoreOptions });
+// Reconciliations run as jobs the UI follows instead of holding a request open.
+const jobs = createJobs({ tasks });
+
+// Local accounts live next to the sessions; tokens are signed with AUTH_SECRET (or a
+// secret generated beside the database) and last AUTH_TOKEN_HOURS.
+const users = createUserStore({ driver: process.env.SESSION_STORE || "sqlite", file: SESSION_DB });
+// Who did what, kept after the sessions themselves expire.
+const auditLog = createAuditLog({ driver: process.env.SESSION_STORE || "sqlite", file: SESSION_DB });
+// Saved mapping / rules presets, per user; they don't expire.
+const templates = createTemplateStore({ driver: process.env.SESSION_STORE || "sqlite", file: SESSION_DB });
+const AUTH_TOKEN_HOURS = Number(process.env.AUTH_TOKEN_HOURS || 12);
+// Download links get their own one-time token, so the login token never ends up in a URL.
+const DOWNLOAD_TOKEN_SECONDS = 60;
+const AUTH_SECRET = loadSecret({
+  secret: process.env.AUTH_SECRET,
+  file: (process.env.SESSION_STORE || "sqlite") === "sqlite" ? `${SESSION_DB}.secret` : null
+});
+const AUTH_SIGNUP = process.env.AUTH_SIGNUP !== "false";
+// After LOGIN_MAX_FAILURES wrong passwords for a username from one address, logins for it
+// from there are refused for the rest of LOGIN_WINDOW_MINUTES.
+const loginThrottle = createLoginThrottle({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES || 5),
+  windowMs: Number(process.env.LOGIN_WINDOW_MINUTES || 15) * 60 * 1000
+});
 
-/** ---------- Helpers ---------- **/
-// Normalize CSV header labels for consistent matching.
-function normalizeHeader(h) {
-  return String(h ?? "").trim();
-}
-// Parse numeric strings safely (handles commas and blanks).
-function toNumber(v) {
-  if (v === null || v === undefined) return null;
-  const s = String(v).trim();
-  if (s === "") return null;
-  // remove commas in numbers like 1,234.56
-  const cleaned = s.replace(/,/g, "");
-  const n = Number(cleaned);
-  return Number.isFinite(n) ? n : null;
+// Sweep expired sessions every SESSION_CLEANUP_MINUTES (without keeping the process alive).
+const SESSION_CLEANUP_MINUTES = Number(process.env.SESSION_CLEANUP_MINUTES || 30);
+setInterval(() => {
+  sessions.purgeExpired()
+    .then(removed => { if (removed) console.log(`Removed ${removed} expired session(s)`); })
+    .catch(e => console.error("Session cleanup failed:", e.message));
+  users.purgeExpired().catch(e => console.error("Token cleanup failed:", e.message));
+}, SESSION_CLEANUP_MINUTES * 60 * 1000).unref();
+
+// Express 4 doesn't catch rejected promises; hand them to the error handler.
+const asyncRoute = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+// A session only exists for its owner; anyone else gets the same 404 as a missing one.
+async function ownedSession(req, id) {
+  const s = await sessions.get(id);
+  return s && s.ownerId === req.user.id ? s : null;
 }
-// Parse date strings into YYYY-MM-DD (best effort).
-function normalizeDate(v) {
-  if (v === null || v === undefined) return null;
-  const s = String(v).trim();
-  if (!s) return null;
-  // Accept common forms: YYYY-MM-DD, MM/DD/YYYY, DD/MM/YYYY (ambiguous), ISO
-  const d = new Date(s);
-  if (!Number.isNaN(d.getTime())) return d.toISOString().slice(0, 10); // YYYY-MM-DD
-  return null;
-}
-// Convert value to a trimmed string, treating null/undefined as empty.
-function stringify(v) {
-  if (v === null || v === undefined) return "";
-  return String(v).trim();
+
+// A job is only visible to whoever started it.
+function ownedJob(req, id) {
+  const job = jobs.get(id);
+  return job && job.ownerId === req.user.id ? job : null;
 }
 
-// Reading CSV files
+const publicJob = ({ ownerId, ...job }) => job;
 
-// Parse a CSV upload into fields + row objects (adds __rowId for tracing).
-function parseCsvBuffer(buffer) {
-  const text = buffer.toString("utf-8");
-  const result = Papa.parse(text, {
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false
+// Log a run the reconcile task stored as the session's latest.
+function auditRun(req, sessionId, s, run) {
+  return audit(req, "RECONCILE", {
+    sessionId,
+    runId: run.id,
+    details: { mode: run.mode, mapping: run.mapping, rules: run.rules, parseOptions: s.parseOptions, fx: run.fx, summary: run.summary }
   });
-  if (result.errors?.length) {
-    const msg = result.errors[0]?.message || "CSV parse error";
-    throw new Error(msg);
-  }
-  const fields = (result.meta?.fields || []).map(normalizeHeader).filter(Boolean);
-  const rows = (result.data || []).map((r, idx) => ({ __rowId: idx + 1, ...r }));
-  return { fields, rows };
 }
 
-// Profile a dataset to show quick stats and detected columns on the UI.
-function profile(rows, fields) {
-  const rowCount = rows.length;
-  const sampleRows = rows.slice(0, 5);
-  const lowerFields = fields.map(f => f.toLowerCase());
-
-  // Heuristic: detect transaction id column
-  const idCandidates = ["transaction_id", "transactionid", "txn_id", "txnid", "id", "reference", "ref", "trans_id"];
-  let detectedId = null;
-  for (const cand of idCandidates) {
-    const i = lowerFields.indexOf(cand);
-    if (i >= 0) { detectedId = fields[i]; break; }
-  }
+/** ---------- Audit ---------- **/
 
-  // Detect likely amount/date columns
-  const amountCandidates = ["amount", "amt", "total", "total_amount", "value"];
-  const dateCandidates = ["date", "txn_date", "transaction_date", "posted_date", "booking_date"];
-  let detectedAmount = null, detectedDate = null;
-  for (const cand of amountCandidates) {
-    const i = lowerFields.indexOf(cand);
-    if (i >= 0) { detectedAmount = fields[i]; break; }
-  }
-  for (const cand of dateCandidates) {
-    const i = lowerFields.indexOf(cand);
-    if (i >= 0) { detectedDate = fields[i]; break; }
-  }
+// Actions written to the audit log, with what their details hold:
+//   UPLOAD            { files: { a, b } (name, size, sha256, format, rows...), parseOptions }
+//   RECONCILE         { mode, mapping, rules, parseOptions, summary }
+//   OVERRIDE          { action, a, b, entryId, note, added, removed, summary }
+//   EXCEPTION         { entryId, changes, state }
+//   EXPORT            { format, filter, exception, rows }
+//   FX_RATES          { file (name, size, sha256, ...), count, pairs } or { removed: true }
+//   DELETE_SESSION    {}
+const AUDIT_ACTIONS = ["UPLOAD", "RECONCILE", "OVERRIDE", "EXCEPTION", "EXPORT", "FX_RATES", "DELETE_SESSION"];
 
-  // Duplicates (only if id detected)
-  let duplicates = 0;
-  if (detectedId) {
-    const seen = new Set();
-    for (const r of rows) {
-      const id = stringify(r[detectedId]);
-      if (!id) continue;
-      if (seen.has(id)) duplicates++;
-      else seen.add(id);
-    }
-  }
-
-  // Total amount sum (best effort)
-  let amountSum = null;
-  if (detectedAmount) {
-    let sum = 0, count = 0;
-    for (const r of rows) {
-      const n = toNumber(r[detectedAmount]);
-      if (n !== null) { sum += n; count++; }
-    }
-    amountSum = count ? sum : null;
-  }
-
-  // Date range
-  let dateMin = null, dateMax = null;
-  if (detectedDate) {
-    const dates = rows.map(r => normalizeDate(r[detectedDate])).filter(Boolean).sort();
-    if (dates.length) { dateMin = dates[0]; dateMax = dates[dates.length - 1]; }
-  }
+function audit(req, action, { sessionId = null, runId = null, details = {} } = {}) {
+  return auditLog.append({ userId: req.user.id, user: req.user.name, action, sessionId, runId, details });
+}
 
-  // This info is shown on frontend later
+// What the audit log keeps about an uploaded file; the hash proves which file it was.
+function fileFingerprint(upload, dataset) {
   return {
-    rowCount,
-    fields,
-    detected: { id: detectedId, amount: detectedAmount, date: detectedDate },
-    duplicates,
-    amountSum,
-    dateRange: (dateMin && dateMax) ? { min: dateMin, max: dateMax } : null,
-    sampleRows
+    name: upload.originalname,
+    size: upload.size,
+    sha256: dataset.file?.sha256,
+    format: dataset.file?.format,
+    sheet: dataset.file?.sheet,
+    encoding: dataset.file?.encoding,
+    rows: dataset.rowCount ?? dataset.rows.length,
+    warnings: dataset.file?.warningCount ?? 0
   };
 }
 
-// Resolve a field mapping for "a" and "b" sides with sensible defaults.
-function pickField(mapping, key, fallback) {
-  // mapping example: { id: {a:"transaction_id", b:"txn_id"}, amount:{...}, date:{...}, description:{...}}
-  const m = mapping?.[key];
-  if (m && typeof m === "object") return { a: m.a || fallback?.a || null, b: m.b || fallback?.b || null };
-  return { a: fallback?.a || null, b: fallback?.b || null };
-}
-
-// Build a composite key for custom matching rules.
-function buildKey(record, fields, rules) {
-  // fields: array of field names used to build composite key
-  const parts = [];
-  for (const f of fields) {
-    const v = record[f];
-    if (rules?.fieldTypes?.[f] === "number") parts.push(String(toNumber(v) ?? ""));
-    else if (rules?.fieldTypes?.[f] === "date") parts.push(String(normalizeDate(v) ?? ""));
-    else parts.push(stringify(v).toLowerCase());
+// One readable line per entry, for the timeline and the CSV.
+function describeAudit({ action, details: d }) {
+  switch (action) {
+    case "UPLOAD":
+      return `Uploaded ${d.files.a.name} (${d.files.a.rows} rows) and ${d.files.b.name} (${d.files.b.rows} rows)`;
+    case "RECONCILE":
+      return `Reconciled (${d.mode}): ${d.summary.MATCHED + d.summary.MATCHED_GROUP} matched, ${d.summary.MISMATCH} mismatched, ${d.summary.MISSING_IN_A + d.summary.MISSING_IN_B} missing`;
+    case "OVERRIDE":
+      return `Manual ${d.action.toLowerCase()} of ${d.removed.join(", ")}${d.note ? ` (${d.note})` : ""}`;
+    case "EXCEPTION":
+      return `Exception ${d.entryId}: ${Object.entries(d.changes).map(([k, v]) => `${k} ${v ?? "cleared"}`).join(", ")}`;
+    case "EXPORT":
+      return `Exported ${d.rows} rows as ${d.format.toUpperCase()} (${d.filter}${d.exception ? `, ${d.exception}` : ""})`;
+    case "FX_RATES":
+      return d.removed ? "Removed the FX rate table" : `Uploaded FX rates ${d.file.name} (${d.count} rates: ${d.pairs.join(", ")})`;
+    case "DELETE_SESSION":
+      return "Deleted the session";
+    default:
+      return action;
   }
-  return parts.join("||");
 }
 
-//Reconcile           
-// Core reconciliation engine for auto ID matching or custom composite keys.
-function reconcile({ aRows, bRows, mapping, mode, rules }) {
-  // rules: { amountTolerance:number, dateToleranceDays:number, compositeKeysA:[...], compositeKeysB:[...]}
-  const amountTol = Number(rules?.amountTolerance ?? 0);
-  const dateTolDays = Number(rules?.dateToleranceDays ?? 0);
-
-  const fallback = {
-    id: { a: "transaction_id", b: "transaction_id" },
-    amount: { a: "amount", b: "amount" },
-    date: { a: "date", b: "date" },
-    description: { a: "description", b: "description" },
-  };
-
-  const idField = pickField(mapping, "id", fallback.id);
-  const amountField = pickField(mapping, "amount", fallback.amount);
-  const dateField = pickField(mapping, "date", fallback.date);
-  const descField = pickField(mapping, "description", fallback.description);
-
-  const results = [];
+/** ---------- Templates ---------- **/
 
-  const bUsed = new Set();
-
-  const statusCounts = { MATCHED: 0, MISMATCH: 0, MISSING_IN_B: 0, MISSING_IN_A: 0 };
-
-  //Tolerance
-  const compareAmounts = (a, b) => {
-    const an = toNumber(a), bn = toNumber(b);
-    if (an === null || bn === null) return { ok: false, reason: "AMOUNT_MISSING" };
-    const diff = Math.abs(an - bn);
-    return { ok: diff <= amountTol, diff, an, bn };
-  };
-
-  const compareDates = (a, b) => {
-    const ad = normalizeDate(a), bd = normalizeDate(b);
-    if (!ad || !bd) return { ok: false, reason: "DATE_MISSING" };
-    // compare with tolerance in days
-    const adt = new Date(ad + "T00:00:00Z").getTime();
-    const bdt = new Date(bd + "T00:00:00Z").getTime();
-    const day = 24 * 60 * 60 * 1000;
-    const dd = Math.abs(adt - bdt) / day;
-    return { ok: dd <= dateTolDays, diffDays: dd, ad, bd };
-  };
+// A template is a named set of run settings plus the headers of the files it was saved
+// from (taken from `sessionId`, or given as `headers`), used to suggest it for new uploads.
+const templateBody = runSettings.extend({
+  name: z.string().trim().min(1).max(100),
+  sessionId: z.string().optional(),
+  headers: z.object({ a: z.array(z.string()), b: z.array(z.string()) }).optional()
+});
 
-  // Build lookup for B based on chosen mode.
-  let bIndex = new Map();
-
-  if (mode === "auto") {
-    // Prefer transaction_id if both sides have it
-    const bId = idField.b;
-    for (const r of bRows) {
-      const id = bId ? stringify(r[bId]) : "";
-      if (!id) continue;
-      // keep first; duplicates handled as mismatches later
-      if (!bIndex.has(id)) bIndex.set(id, r);
-    }
-  } else {
-    // custom composite keys
-    const keysB = rules?.compositeKeysB || [];
-    for (const r of bRows) {
-      const key = buildKey(r, keysB, rules);
-      if (!bIndex.has(key)) bIndex.set(key, r);
-    }
-  }
+// Below this header similarity a template isn't suggested for a session.
+const TEMPLATE_SUGGEST_MIN = 0.5;
 
-  const aKeyField = (mode === "auto") ? idField.a : null;
-  const keysA = (mode === "custom") ? (rules?.compositeKeysA || []) : null;
-
-  // The matching loop: walk A and try to find a matching B.
-  for (const a of aRows) {
-    const key = (mode === "auto")
-      ? stringify(a[aKeyField] ?? "")
-      : buildKey(a, keysA, rules);
-
-    const b = key ? bIndex.get(key) : null;
-
-    if (!key || !b) {
-      statusCounts.MISSING_IN_B++;
-      results.push({
-        status: "MISSING_IN_B",
-        key,
-        reason: "MISSING_IN_B",
-        a,
-        b: null
-      });
-      continue;
-    }
-
-    bUsed.add(b.__rowId);
-
-    // Validate fields using tolerance rules.
-    const amountCmp = compareAmounts(a[amountField.a], b[amountField.b]);
-    const dateCmp = compareDates(a[dateField.a], b[dateField.b]);
-
-    const mismatches = [];
-    if (!amountCmp.ok) mismatches.push(amountCmp.reason || "AMOUNT_MISMATCH");
-    if (!dateCmp.ok) mismatches.push(dateCmp.reason || "DATE_MISMATCH");
-
-    if (mismatches.length === 0) {
-      statusCounts.MATCHED++;
-      results.push({
-        status: "MATCHED",
-        key,
-        reason: "MATCHED",
-        a,
-        b
-      });
-    } else {
-      statusCounts.MISMATCH++;
-      const reasons = [];
-
-if (a.amount !== b.amount) {
-  reasons.push(
-    `Amount differs (${a.amount} vs ${b.amount})`
-  );
+async function ownedTemplate(req, id) {
+  const t = await templates.get(id);
+  return t && t.ownerId === req.user.id ? t : null;
 }
 
-if (a.date !== b.date) {
-  reasons.push(
-    `Date differs (${a.date} vs ${b.date})`
-  );
-}
+const publicTemplate = ({ ownerId, ...t }) => t;
 
-results.push({
-  status: "mismatch",
-  key,
-  a,
-  b,
-  reason: reasons.join(" | "),
+// A session's file headers, without columns derived from parse options.
+const sessionHeaders = (s) => ({
+  a: s.a.fields.filter(f => !s.a.derived?.includes(f)),
+  b: s.b.fields.filter(f => !s.b.derived?.includes(f))
 });
 
-    }
-  }
+// Columns of one side a template relies on: mapped fields, compared pairs, composite keys
+// and debit/credit columns (the signed amount they produce isn't a file column).
+function templateColumns(t, side) {
+  const options = t.parseOptions?.[side];
+  const derived = !!(options?.debitColumn || options?.creditColumn);
+  const columns = [
+    ...MAPPING_KEYS.map(k => t.mapping?.[k]?.[side]),
+    ...(t.mapping?.extra || []).map(m => m[side]),
+    ...(t.rules?.[`compositeKeys${side.toUpperCase()}`] || []),
+    ...(Array.isArray(t.rules?.comparisons) ? t.rules.comparisons : []).map(c => c?.[side]),
+    options?.debitColumn,
+    options?.creditColumn
+  ];
+  return [...new Set(columns.filter(c => c && !(derived && c === SIGNED_AMOUNT_FIELD)))];
+}
 
-  // Missing in A: any B not used.
-  for (const b of bRows) {
-    if (!bUsed.has(b.__rowId)) {
-      statusCounts.MISSING_IN_A++;
-      results.push({
-        status: "MISSING_IN_A",
-        key: (mode === "auto") ? stringify(b[idField.b] ?? "") : null,
-        reason: "MISSING_IN_A",
-        a: null,
-        b
-      });
-    }
-  }
+// Share of headers two files have in common (case and spacing ignored), 0..1.
+function headerSimilarity(x, y) {
+  const norm = (h) => new Set(h.map(f => String(f).trim().toLowerCase()));
+  const a = norm(x), b = norm(y);
+  const union = new Set([...a, ...b]).size;
+  return union ? [...a].filter(f => b.has(f)).length / union : 0;
+}
 
-  // Summary counts for the UI.
-  const total = results.length;
-  return {
-    summary: { ...statusCounts, total },
-    results
-  };
+// Templates that look saved from files like the session's, best first:
+// [{ id, name, score, missing }], where `missing` lists columns the session lacks.
+function suggestTemplates(list, s) {
+  const headers = sessionHeaders(s);
+  return list
+    .map(t => ({
+      id: t.id,
+      name: t.name,
+      score: Math.round(((headerSimilarity(t.headers?.a || [], headers.a) + headerSimilarity(t.headers?.b || [], headers.b)) / 2) * 100) / 100,
+      missing: ["a", "b"].flatMap(side =>
+        templateColumns(t, side).filter(c => !s[side].fields.includes(c)).map(c => `${side.toUpperCase()}: ${c}`))
+    }))
+    .filter(x => x.score >= TEMPLATE_SUGGEST_MIN)
+    .sort((x, y) => y.score - x.score || x.missing.length - y.missing.length);
 }
 
-// Optional helper to generate a human-readable mismatch reason.
-function buildMismatchReason(a, b) {
-  const reasons = [];
+/** ---------- Routes ---------- **/
 
-  // Amount
-  if (a.amount !== b.amount) {
-    const diff = Math.abs(Number(a.amount) - Number(b.amount));
-    reasons.push(`Amount differs by ${diff}`);
-  }
+//"are you alive"
+app.get("/health", (_req, res) => res.json({ ok: true }));
 
-  // Date
-  if (a.date !== b.date) {
-    const days =
-      Math.abs(
-        new Date(a.date).getTime() - new Date(b.date).getTime()
-      ) / (1000 * 60 * 60 * 24);
+// Local sign-up / log-in answer with { token, user, expiresAt }; send the token as
+// `Authorization: Bearer <token>` on every other /api call.
+const credentials = z.object({
+  username: z.string().trim().toLowerCase().min(3).max(100).regex(/^[a-z0-9._@+-]+$/, "Use letters, digits and . _ @ + - only"),
+  password: z.string().min(8, "Use at least 8 characters").max(200),
+  name: z.string().trim().max(200).optional()
+});
 
-    reasons.push(`Date differs by ${Math.round(days)} days`);
+const tokenResponse = (user) => {
+  const { token, payload } = issueToken(AUTH_SECRET, user, AUTH_TOKEN_HOURS * 60 * 60 * 1000);
+  return { token, user: publicUser(user), expiresAt: payload.exp };
+};
+
+app.post("/api/auth/signup", asyncRoute(async (req, res) => {
+  if (!AUTH_SIGNUP) return res.status(403).json({ error: "Sign-up is disabled. Ask an administrator for an account." });
+  const parsed = credentials.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => `${i.path.join(".")}: ${i.message}`).join("; "), details: parsed.error.issues });
+  const { username, password, name } = parsed.data;
+  if (await users.findByUsername(username)) return res.status(409).json({ error: "That username is taken." });
+  const user = await users.create({ username, name: name || null, passwordHash: await hashPassword(password) });
+  res.status(201).json(tokenResponse(user));
+}));
+
+app.post("/api/auth/login", asyncRoute(async (req, res) => {
+  const username = String(req.body?.username ?? "").trim().toLowerCase();
+  const password = String(req.body?.password ?? "");
+  const throttleKey = `${req.ip}|${username}`;
+  const wait = loginThrottle.retryAfter(throttleKey);
+  if (wait) {
+    res.setHeader("Retry-After", String(Math.ceil(wait / 1000)));
+    return res.status(429).json({ error: "Too many failed logins. Try again later." });
   }
-
-  // Description (optional)
-  if (a.description && b.description && a.description !== b.description) {
-    reasons.push("Description mismatch");
+  const user = username ? await users.findByUsername(username) : null;
+  // Unknown usernames still pay for a hash, so timing doesn't tell which accounts exist.
+  const valid = await verifyPassword(password, user?.passwordHash);
+  if (!user || !valid) {
+    loginThrottle.fail(throttleKey);
+    return res.status(401).json({ error: "Wrong username or password." });
   }
+  loginThrottle.succeed(throttleKey);
+  res.json(tokenResponse(user));
+}));
 
-  return reasons.join(", ");
-}
+// The only routes a download token opens: export files and the audit trail as CSV.
+const isDownload = (req) => req.method === "GET"
+  && (/^\/export\/[^/]+$/.test(req.path) || (req.path === "/audit" && req.query.format === "csv"));
 
+app.use("/api", requireAuth({ secret: AUTH_SECRET, users, isDownload }));
 
-/** ---------- Routes ---------- **/
+// Log out: the token stops working now instead of when it expires.
+app.post("/api/auth/logout", asyncRoute(async (req, res) => {
+  await users.revokeToken(req.token.jti, req.token.exp);
+  res.json({ ok: true });
+}));
 
-//"are you alive"
-app.get("/health", (_req, res) => res.json({ ok: true }));
+app.get("/api/auth/me", (req, res) => res.json({ user: req.user }));
 
-// Create a new session by ingesting two CSV files.
-app.post("/api/sessions", upload.fields([{ name: "fileA", maxCount: 1 }, { name: "fileB", maxCount: 1 }]), (req, res) => {
+// A token for one download link (?token=), good for DOWNLOAD_TOKEN_SECONDS.
+app.post("/api/auth/download-token", (req, res) => {
+  const { token, payload } = issueToken(AUTH_SECRET, { id: req.user.id, name: req.user.name }, DOWNLOAD_TOKEN_SECONDS * 1000, { scope: DOWNLOAD_SCOPE });
+  res.json({ token, expiresAt: payload.exp });
+});
+
+// The signed-in user's sessions, most recently used first.
+app.get("/api/sessions", asyncRoute(async (req, res) => {
+  res.json({ sessions: await sessions.listByOwner(req.user.id) });
+}));
+
+// Create a new session by ingesting two files (CSV, TSV, XLSX, JSON or NDJSON).
+app.post("/api/sessions", removeUploads, upload.fields([{ name: "fileA", maxCount: 1 }, { name: "fileB", maxCount: 1 }]), asyncRoute(async (req, res) => {
   try {
     const fileA = req.files?.fileA?.[0];
     const fileB = req.files?.fileB?.[0];
     if (!fileA || !fileB) return res.status(400).json({ error: "Please upload both fileA and fileB." });
 
-    const parsedA = parseCsvBuffer(fileA.buffer);
-    const parsedB = parseCsvBuffer(fileB.buffer);
-
-    const sessionId = nanoid(12);
-    const meta = {
-      a: profile(parsedA.rows, parsedA.fields),
-      b: profile(parsedB.rows, parsedB.fields)
+    // Optional per-dataset parse options (auto-detection when omitted).
+    const parseOptions = {
+      a: readParseOptions(req.body, "A"),
+      b: readParseOptions(req.body, "B")
     };
 
-    sessions.set(sessionId, {
-      createdAt: Date.now(),
-      a: parsedA,
-      b: parsedB,
-      meta
+    // Workbooks read the first sheet with data unless `sheetA` / `sheetB` name one; text
+    // files detect their encoding unless `encodingA` / `encodingB` is given. `lenient=false`
+    // rejects files with bad rows instead of skipping them with warnings.
+    const sessionId = nanoid(12);
+    const session = await tasks.run("ingest", {
+      sessionId,
+      ownerId: req.user.id,
+      files: { a: fileA, b: fileB },
+      options: {
+        parseOptions,
+        sheets: { a: req.body?.sheetA, b: req.body?.sheetB },
+        encodings: { a: req.body?.encodingA, b: req.body?.encodingB },
+        lenient: req.body?.lenient !== "false"
+      }
+    });
+    await audit(req, "UPLOAD", {
+      sessionId,
+      details: { files: { a: fileFingerprint(fileA, session.a), b: fileFingerprint(fileB, session.b) }, parseOptions }
     });
 
-    res.json({ sessionId, meta });
+    res.json({ sessionId, meta: session.meta });
   } catch (e) {
     res.status(400).json({ error: e.message || "Upload failed" });
   }
+}));
+
+// Reopen a stored session: its profiles, parse options and latest reconciliation.
+app.get("/api/sessions/:id", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const run = s.lastRunId ? (await sessions.listRuns(req.params.id)).find(r => r.id === s.lastRunId) : null;
+  res.json({
+    sessionId: req.params.id,
+    createdAt: s.createdAt,
+    meta: s.meta,
+    parseOptions: s.parseOptions,
+    fxRates: fxSummary(s.fxRates),
+    recon: run ? { meta: s.meta, ...run } : null
+  });
+}));
+
+// FX rate table for multi-currency runs (CSV, XLSX or JSON with date, pair or from/to, and
+// rate columns). Replaces any earlier table; answers with { fxRates } (a summary).
+app.post("/api/sessions/:id/fx-rates", removeUploads, upload.single("file"), asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  if (!req.file) return res.status(400).json({ error: "Please upload the rate table as `file`." });
+  let table;
+  try {
+    const parsed = await parseUpload(req.file, { sheet: req.body?.sheet, lenient: true });
+    table = parseFxRates(parsed);
+    table.file = fileFingerprint(req.file, parsed);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  s.fxRates = table;
+  await sessions.set(req.params.id, s);
+  const fxRates = fxSummary(table);
+  await audit(req, "FX_RATES", { sessionId: req.params.id, details: { file: table.file, count: fxRates.count, pairs: fxRates.pairs } });
+  res.json({ fxRates });
+}));
+
+app.get("/api/sessions/:id/fx-rates", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  res.json({ fxRates: fxSummary(s.fxRates), rates: s.fxRates?.rates ?? [] });
+}));
+
+app.delete("/api/sessions/:id/fx-rates", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  delete s.fxRates;
+  await sessions.set(req.params.id, s);
+  await audit(req, "FX_RATES", { sessionId: req.params.id, details: { removed: true } });
+  res.json({ ok: true });
+}));
+
+// Every reconciliation run of a session (settings + summary, no per-record results).
+app.get("/api/sessions/:id/runs", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  res.json({ runs: await sessions.listRuns(req.params.id), lastRunId: s.lastRunId ?? null });
+}));
+
+// Records whose status (or pairing) changed between two runs: ?from=<runId>&to=<runId>.
+app.get("/api/sessions/:id/diff", asyncRoute(async (req, res) => {
+  const { from, to } = req.query;
+  if (!from || !to) return res.status(400).json({ error: "Pass the two runs to compare as ?from=<runId>&to=<runId>." });
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const runs = await sessions.listRuns(req.params.id);
+  const before = runs.find(r => r.id === String(from));
+  const after = runs.find(r => r.id === String(to));
+  if (!before || !after) return res.status(404).json({ error: `Run ${before ? to : from} not found.` });
+  // Results are streamed from the store rather than loaded whole.
+  const diff = await diffRuns(
+    { ...before, results: sessions.eachResult(req.params.id, before.id) },
+    { ...after, results: sessions.eachResult(req.params.id, after.id) }
+  );
+  res.json({ from: before.id, to: after.id, ...diff });
+}));
+
+// One run (settings, summary and totals, no results) with the session's current meta.
+app.get("/api/sessions/:id/runs/:runId", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const run = (await sessions.listRuns(req.params.id)).find(r => r.id === req.params.runId);
+  if (!run) return res.status(404).json({ error: "Run not found." });
+  res.json({ meta: s.meta, ...run });
+}));
+
+// A page of a run's results (the latest run unless ?run=<runId>):
+//   status / exception   only results with this status / case state
+//   q                    text in the key, reason, assignee or a mapped column of either side
+//   sort, order          one of RESULT_SORTS (default position: run order), asc | desc
+//   limit                page size (default 100, at most 500)
+//   offset | cursor      where the page starts: a count, or the nextCursor of the page before
+// Answers with { runId, results, total, nextCursor, exceptions }: `total` counts every
+// match of the filters, `exceptions` the run's cases per state.
+const resultsQuery = z.object({
+  run: z.string().optional(),
+  status: z.string().max(40).optional(),
+  exception: z.enum(EXCEPTION_STATES).optional(),
+  q: z.string().max(200).optional(),
+  sort: z.enum(RESULT_SORTS).optional(),
+  order: z.enum(["asc", "desc"]).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+  cursor: z.string().max(1000).optional()
+});
+app.get("/api/sessions/:id/results", asyncRoute(async (req, res) => {
+  const parsed = resultsQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid query", details: parsed.error.issues });
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const { run: runId = s.lastRunId, q: search, ...query } = parsed.data;
+  if (!runId) return res.status(404).json({ error: "No reconciliation run yet." });
+  let page;
+  try {
+    page = await sessions.queryResults(req.params.id, runId, { ...query, search });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (!page) return res.status(404).json({ error: "Run not found." });
+  res.json({ runId, ...page });
+}));
+
+// Manual overrides on a stored run (see applyOverride); each answers with the updated run
+// (as GET /api/sessions/:id/runs/:runId) and the change.
+const overrideBody = z.object({
+  a: z.array(z.union([z.number(), z.string()])).optional(),
+  b: z.array(z.union([z.number(), z.string()])).optional(),
+  entryId: z.string().optional(),
+  note: z.string().max(2000).optional()
+});
+const overrideRoute = (action) => asyncRoute(async (req, res) => {
+  const parsed = overrideBody.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request body", details: parsed.error.issues });
+  const s = await ownedSession(req, req.params.id);
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const run = (await sessions.listRuns(req.params.id)).find(r => r.id === req.params.runId);
+  if (!run) return res.status(404).json({ error: "Run not found." });
+
+  // Only the results the override names are read; the rest of the run stays in the store.
+  const { a = [], b = [], entryId } = parsed.data;
+  const named = action === "MATCH"
+    ? [...a.map(rowId => sessions.getRowResult(req.params.id, run.id, "a", rowId)),
+      ...b.map(rowId => sessions.getRowResult(req.params.id, run.id, "b", rowId))]
+    : entryId ? [sessions.getResult(req.params.id, run.id, entryId)] : [];
+  const results = [...new Map((await Promise.all(named)).filter(Boolean).map(r => [r.id, r])).values()];
+
+  let change;
+  try {
+    change = applyOverride(run, results, action, { ...parsed.data, by: req.user.name });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  await sessions.updateRun(req.params.id, run, change);
+  await audit(req, "OVERRIDE", {
+    sessionId: req.params.id,
+    runId: run.id,
+    details: { action, ...parsed.data, added: change.added.map(r => r.id), removed: change.removed, summary: run.summary }
+  });
+  if (run.id === s.lastRunId) {
+    s.lastSummary = run.summary;
+    s.summary = sessionSummary(s);
+    await sessions.set(req.params.id, s);
+  }
+  res.json({ meta: s.meta, ...runInfo(run), change });
 });
 
+// Force-match unmatched rows: { a: [rowId...], b: [rowId...], note? }.
+app.post("/api/sessions/:id/runs/:runId/match", overrideRoute("MATCH"));
+// Break a match (or mismatch) back into unmatched rows: { entryId, note? }.
+app.post("/api/sessions/:id/runs/:runId/unmatch", overrideRoute("UNMATCH"));
+// Accept a mismatch as matched: { entryId, note }.
+app.post("/api/sessions/:id/runs/:runId/accept", overrideRoute("ACCEPT"));
 
-//RECONCILE!
-// Run reconciliation for a previously uploaded session.
-app.post("/api/reconcile", (req, res) => {
+// Work an exception: { state?, assignee?, comment? }, recorded as the signed-in user.
+// Answers with the result.
+app.patch("/api/sessions/:id/runs/:runId/results/:entryId/exception", asyncRoute(async (req, res) => {
   const schema = z.object({
-    sessionId: z.string().min(3),
-    mode: z.enum(["auto", "custom"]),
-    mapping: z.any().optional(),
-    rules: z.any().optional()
+    state: z.enum(EXCEPTION_STATES).optional(),
+    assignee: z.string().max(200).nullable().optional(),
+    comment: z.string().max(5000).optional()
+  });
+  const parsed = schema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request body", details: parsed.error.issues });
+  if (!await ownedSession(req, req.params.id)) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const entry = await sessions.getResult(req.params.id, req.params.runId, req.params.entryId);
+  if (!entry) return res.status(404).json({ error: "Result not found in this run." });
+
+  try {
+    updateException(entry, { ...parsed.data, author: req.user.name });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  await sessions.updateResult(req.params.id, req.params.runId, entry);
+  await audit(req, "EXCEPTION", {
+    sessionId: req.params.id,
+    runId: req.params.runId,
+    details: { entryId: entry.id, changes: parsed.data, state: entry.exception.state }
   });
+  res.json({ result: entry });
+}));
+
+// Drop a session and everything stored with it.
+app.delete("/api/sessions/:id", asyncRoute(async (req, res) => {
+  if (!await ownedSession(req, req.params.id)) return res.status(404).json({ error: "Session not found." });
+  await sessions.delete(req.params.id);
+  await audit(req, "DELETE_SESSION", { sessionId: req.params.id });
+  res.json({ ok: true });
+}));
+
+
+//RECONCILE!
+// Run reconciliation for a previously uploaded session. Answers 202 with { job } right
+// away; the finished job's result is { runId, summary } (GET /api/sessions/:id/runs/:runId
+// has the rest) and a failed one has the `error` and `details` this used to answer 400 with.
+app.post("/api/reconcile", asyncRoute(async (req, res) => {
+  const schema = runSettings.extend({ sessionId: z.string().min(3) });
 
   const parsed = schema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: "Invalid request body", details: parsed.error.issues });
 
-  const { sessionId, mode, mapping, rules } = parsed.data;
-  const s = sessions.get(sessionId);
-  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  const { sessionId, ...settings } = parsed.data;
+  if (!await ownedSession(req, sessionId)) return res.status(404).json({ error: "Session not found. Upload files again." });
 
+  const job = jobs.start("reconcile", { sessionId, settings }, {
+    ownerId: req.user.id,
+    sessionId,
+    toResult: ({ run }) => ({ runId: run.id, summary: run.summary }),
+    onDone: ({ session, run }) => auditRun(req, sessionId, session, run)
+  });
+  res.status(202).json({ job: publicJob(job) });
+}));
+
+// Follow a job: { job } with its state (queued, running, done, failed, cancelled), phase
+// (loading, indexing, matching, summarizing, saving) and percent. Poll until finishedAt.
+app.get("/api/jobs/:id", (req, res) => {
+  const job = ownedJob(req, req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+  res.json({ job: publicJob(job) });
+});
+
+// Cancel a job; it stops without storing anything. Answers 409 once that can't happen:
+// the job is over or already saving its run.
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  const job = ownedJob(req, req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+  if (job.finishedAt) return res.status(409).json({ error: `The job is already ${job.state}.`, job: publicJob(job) });
+  if (!jobs.cancel(job.id).cancelRequested) {
+    return res.status(409).json({ error: "The job is already saving its result and will finish.", job: publicJob(job) });
+  }
+  res.json({ job: publicJob(job) });
+});
+
+// Single-shot reconciliation for scripts and scheduled jobs: upload, reconcile and
+// (optionally) export in one multipart request. Fields:
+//   fileA, fileB        the datasets (sheetA/B, encodingA/B and lenient as on upload)
+//   rates               optional FX rate table
+//   config              JSON run settings ({ mode, mapping, rules, parseOptions, fx }, as
+//                       /api/reconcile takes them); `templateId` starts from a saved template
+//   format              json (default: the run) or csv | xlsx | pdf (the report file),
+//                       with filter / exception / include / columns as on export
+//   maxExceptions       count ("5") or share ("2%") of open exceptions the run may leave
+// The session is kept like any other, so the run can be reviewed in the UI afterwards.
+app.post("/api/run", removeUploads, upload.fields([{ name: "fileA", maxCount: 1 }, { name: "fileB", maxCount: 1 }, { name: "rates", maxCount: 1 }]), asyncRoute(async (req, res) => {
+  const fileA = req.files?.fileA?.[0];
+  const fileB = req.files?.fileB?.[0];
+  if (!fileA || !fileB) return res.status(400).json({ error: "Please upload both fileA and fileB." });
+  const format = String(req.body?.format || "json");
+  if (format !== "json" && !EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format "${format}" (expected json, csv, xlsx or pdf).` });
+  }
+
+  let config = {};
+  if (req.body?.config) {
+    try { config = JSON.parse(req.body.config); } catch { return res.status(400).json({ error: "config must be JSON" }); }
+  }
+  let template = {};
+  if (req.body?.templateId) {
+    template = await ownedTemplate(req, String(req.body.templateId));
+    if (!template) return res.status(404).json({ error: "Template not found." });
+  }
+  const parsed = runSettings.safeParse({ mode: "auto", ...template, ...config });
+  if (!parsed.success) return res.status(400).json({ error: "Invalid config", details: parsed.error.issues });
+  const { parseOptions, ...settings } = parsed.data;
+
+  const sessionId = nanoid(12);
+  let s, run, threshold = null;
   try {
-    const recon = reconcile({
-      aRows: s.a.rows,
-      bRows: s.b.rows,
-      mapping,
-      mode,
-      rules
+    s = await tasks.run("ingest", {
+      sessionId,
+      ownerId: req.user.id,
+      files: { a: fileA, b: fileB },
+      options: {
+        parseOptions,
+        sheets: { a: req.body?.sheetA, b: req.body?.sheetB },
+        encodings: { a: req.body?.encodingA, b: req.body?.encodingB },
+        lenient: req.body?.lenient !== "false"
+      }
     });
+    const ratesFile = req.files?.rates?.[0];
+    if (ratesFile) {
+      const table = await parseUpload(ratesFile, { lenient: true });
+      s.fxRates = { ...parseFxRates(table), file: fileFingerprint(ratesFile, table) };
+      await sessions.set(sessionId, s);
+    }
+    ({ session: s, run } = await tasks.run("reconcile", { sessionId, settings }));
+    run = await sessions.getRun(sessionId, run.id);
+    if (req.body?.maxExceptions) threshold = checkThreshold(run, req.body.maxExceptions);
+  } catch (e) {
+    // A request that fails leaves no session behind.
+    await sessions.delete(sessionId);
+    return res.status(400).json({ error: e.message || "Reconcile failed", ...(e.details && { details: e.details }) });
+  }
 
-    // keep last result for export
-    s.lastRecon = recon;
-    sessions.set(sessionId, s);
+  await audit(req, "UPLOAD", {
+    sessionId,
+    details: { files: { a: fileFingerprint(fileA, s.a), b: fileFingerprint(fileB, s.b) }, parseOptions: s.parseOptions }
+  });
+  if (s.fxRates) {
+    const summary = fxSummary(s.fxRates);
+    await audit(req, "FX_RATES", { sessionId, details: { file: s.fxRates.file, count: summary.count, pairs: summary.pairs } });
+  }
+  await auditRun(req, sessionId, s, run);
+
+  if (format === "json") return res.json({ sessionId, meta: s.meta, threshold, ...run });
 
-    res.json({ meta: s.meta, ...recon });
+  const filter = String(req.body?.filter || "ALL");
+  let report;
+  try {
+    report = await renderExport(s, run, {
+      sessionId,
+      format,
+      filter,
+      exception: req.body?.exception || null,
+      include: req.body?.include === "all" ? "all" : "mapped",
+      columns: req.body?.columns ? String(req.body.columns).split(",").map(c => c.trim()).filter(Boolean) : null,
+      generatedBy: req.user.name
+    });
   } catch (e) {
-    res.status(400).json({ error: e.message || "Reconcile failed" });
+    return res.status(400).json({ error: e.message, sessionId });
   }
-});
+  await audit(req, "EXPORT", {
+    sessionId,
+    runId: run.id,
+    details: { format, filter, exception: req.body?.exception || null, rows: report.rows.length, columns: report.columns.length }
+  });
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].type);
+  res.setHeader("Content-Disposition", `attachment; filename="recon_${sessionId}_${run.id}_${filter}.${EXPORT_FORMATS[format].extension}"`);
+  res.setHeader("X-Session-Id", sessionId);
+  res.setHeader("X-Run-Id", run.id);
+  if (threshold) res.setHeader("X-Exceptions-Exceeded", String(threshold.exceeded));
+  res.send(report.body);
+}));
+
+// Saved templates (mapping, rules, parse options and FX options under a name).
+app.get("/api/templates", asyncRoute(async (req, res) => {
+  res.json({ templates: (await templates.list(req.user.id)).map(publicTemplate) });
+}));
+
+// Templates whose saved headers resemble the session's files: { suggestions }.
+app.get("/api/templates/suggest", asyncRoute(async (req, res) => {
+  const s = await ownedSession(req, String(req.query.sessionId || ""));
+  if (!s) return res.status(404).json({ error: "Session not found. Upload files again." });
+  res.json({ suggestions: suggestTemplates(await templates.list(req.user.id), s) });
+}));
+
+// Validate a template body; answers with the fields to store or sends the error itself.
+async function readTemplate(req, res, existing = null) {
+  const parsed = templateBody.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    res.status(400).json({ error: parsed.error.issues.map(i => `${i.path.join(".")}: ${i.message}`).join("; "), details: parsed.error.issues });
+    return null;
+  }
+  const { sessionId, headers, name, ...settings } = parsed.data;
+  let fileHeaders = headers ?? existing?.headers ?? null;
+  if (sessionId) {
+    const s = await ownedSession(req, sessionId);
+    if (!s) {
+      res.status(404).json({ error: "Session not found. Upload files again." });
+      return null;
+    }
+    fileHeaders = sessionHeaders(s);
+  }
+  if (!fileHeaders) {
+    res.status(400).json({ error: "Save a template from a session (sessionId) or give the file headers." });
+    return null;
+  }
+  const taken = (await templates.list(req.user.id)).some(t => t.name === name && t.id !== existing?.id);
+  if (taken) {
+    res.status(409).json({ error: `A template named "${name}" already exists.` });
+    return null;
+  }
+  return { name, ...settings, headers: fileHeaders };
+}
+
+app.post("/api/templates", asyncRoute(async (req, res) => {
+  const fields = await readTemplate(req, res);
+  if (!fields) return;
+  const template = await templates.create({ ownerId: req.user.id, ...fields });
+  res.status(201).json({ template: publicTemplate(template) });
+}));
+
+app.get("/api/templates/:id", asyncRoute(async (req, res) => {
+  const t = await ownedTemplate(req, req.params.id);
+  if (!t) return res.status(404).json({ error: "Template not found." });
+  res.json({ template: publicTemplate(t) });
+}));
+
+// Replaces the template's settings; the saved headers stay unless new ones are given.
+app.put("/api/templates/:id", asyncRoute(async (req, res) => {
+  const existing = await ownedTemplate(req, req.params.id);
+  if (!existing) return res.status(404).json({ error: "Template not found." });
+  const fields = await readTemplate(req, res, existing);
+  if (!fields) return;
+  res.json({ template: publicTemplate(await templates.update(existing.id, fields)) });
+}));
+
+app.delete("/api/templates/:id", asyncRoute(async (req, res) => {
+  if (!await ownedTemplate(req, req.params.id)) return res.status(404).json({ error: "Template not found." });
+  await templates.delete(req.params.id);
+  res.json({ ok: true });
+}));
+
+
+// The signed-in user's audit trail, oldest first. Filters: ?sessionId, ?action (see
+// AUDIT_ACTIONS), ?from / ?to (dates or timestamps); ?format=csv downloads it.
+app.get("/api/audit", asyncRoute(async (req, res) => {
+  const time = (v) => {
+    if (!v) return null;
+    const t = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+    return Number.isFinite(t) ? t : undefined;
+  };
+  const from = time(req.query.from);
+  const to = time(req.query.to);
+  if (from === undefined || to === undefined) return res.status(400).json({ error: "from / to must be dates (YYYY-MM-DD) or timestamps." });
+  const action = req.query.action ? String(req.query.action) : null;
+  if (action && !AUDIT_ACTIONS.includes(action)) return res.status(400).json({ error: `Unknown action (expected one of ${AUDIT_ACTIONS.join(", ")}).` });
+  const sessionId = req.query.sessionId ? String(req.query.sessionId) : null;
+
+  const entries = (await auditLog.list({ userId: req.user.id, sessionId, action, from, to }))
+    .map(e => ({ ...e, text: describeAudit(e) }));
+
+  if (req.query.format !== "csv") return res.json({ entries });
+  const csv = Papa.unparse(entries.map(e => ({
+    id: e.id,
+    at: new Date(e.at).toISOString(),
+    user: e.user ?? "",
+    action: e.action,
+    session_id: e.sessionId ?? "",
+    run_id: e.runId ?? "",
+    description: e.text,
+    details: JSON.stringify(e.details)
+  })));
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="audit${sessionId ? `_${sessionId}` : ""}.csv"`);
+  res.send(csv);
+}));
 
 
 //CSV report to download
-// Export the last reconciliation as CSV, optionally filtered by status.
-app.get("/api/export/:sessionId", (req, res) => {
+// Run (?run=<runId>, the latest by default) and filters shared by the export routes.
+async function exportSource(req) {
+  const { sessionId } = req.params;
+  const s = await ownedSession(req, sessionId);
+  const runId = req.query.run ? String(req.query.run) : s?.lastRunId;
+  const run = s && runId ? await sessions.getRun(sessionId, runId) : null;
+  if (!run) {
+    return { error: req.query.run ? "Run not found." : "Nothing to export. Run reconciliation first." };
+  }
+  return { s, run, include: req.query.include === "all" ? "all" : "mapped" };
+}
+
+// Columns a run can be exported with (?include=all adds every source column).
+app.get("/api/export/:sessionId/columns", asyncRoute(async (req, res) => {
+  const { s, run, include, error } = await exportSource(req);
+  if (error) return res.status(404).json({ error });
+  const pick = (cols) => cols.map(({ name, group }) => ({ name, group }));
+  res.json({
+    runId: run.id,
+    mapped: pick(exportColumns(s, run, "mapped")),
+    all: pick(exportColumns(s, run, "all")),
+    include
+  });
+}));
+
+// Export a run as CSV, an .xlsx workbook or a PDF report (?format=csv|xlsx|pdf),
+// optionally filtered by status (?filter=MISMATCH) and exception state
+// (?exception=OPEN|INVESTIGATING|RESOLVED|WRITTEN_OFF). Columns follow the run's
+// mapping; ?include=all adds every A/B column, ?columns=a,b,c picks and orders them.
+app.get("/api/export/:sessionId", asyncRoute(async (req, res) => {
   const { sessionId } = req.params;
   const filter = String(req.query.filter || "ALL");
-  const s = sessions.get(sessionId);
-  if (!s?.lastRecon) return res.status(404).json({ error: "Nothing to export. Run reconciliation first." });
-
-  const rows = s.lastRecon.results.filter(r => filter === "ALL" ? true : r.status === filter);
-
-  // Flatten for CSV
-  const flat = rows.map(r => ({
-    status: r.status,
-    reason: r.reason,
-    key: r.key,
-    a_rowId: r.a?.__rowId ?? "",
-    b_rowId: r.b?.__rowId ?? "",
-    a_transaction_id: r.a ? (r.a.transaction_id ?? "") : "",
-    b_transaction_id: r.b ? (r.b.transaction_id ?? "") : "",
-    a_date: r.a ? (r.a.date ?? "") : "",
-    b_date: r.b ? (r.b.date ?? "") : "",
-    a_amount: r.a ? (r.a.amount ?? "") : "",
-    b_amount: r.b ? (r.b.amount ?? "") : ""
-  }));
-
-  const csv = Papa.unparse(flat);
-  res.setHeader("Content-Type", "text/csv");
-  res.setHeader("Content-Disposition", `attachment; filename="recon_${sessionId}_${filter}.csv"`);
-  res.send(csv);
+  const format = String(req.query.format || "csv");
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `Unknown format "${format}" (expected csv, xlsx or pdf).` });
+  const { s, run, include, error } = await exportSource(req);
+  if (error) return res.status(404).json({ error });
+
+  const exceptionFilter = req.query.exception ? String(req.query.exception) : null;
+  let report;
+  try {
+    report = await renderExport(s, run, {
+      sessionId,
+      format,
+      filter,
+      exception: exceptionFilter,
+      include,
+      columns: req.query.columns ? String(req.query.columns).split(",").map(c => c.trim()).filter(Boolean) : null,
+      generatedBy: req.user.name
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const { body, rows, columns } = report;
+  await audit(req, "EXPORT", {
+    sessionId,
+    runId: run.id,
+    details: { format, filter, exception: exceptionFilter, rows: rows.length, columns: columns.length }
+  });
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].type);
+  res.setHeader("Content-Disposition", `attachment; filename="recon_${sessionId}_${run.id}_${filter}.${EXPORT_FORMATS[format].extension}"`);
+  res.send(body);
+}));
+
+// Multipart problems (a file over UPLOAD_MAX_MB, unexpected fields) are the client's.
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  const tooLarge = err.code === "LIMIT_FILE_SIZE";
+  res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `File too large (limit ${UPLOAD_MAX_MB} MB).` : err.message });
 });
 
 const PORT = process.env.PORT || 8080;
@@ -0,0 +1,89 @@
+import { nanoid } from "nanoid";
+import { createCancellation } from "./tasks.js";
+
+// Tasks submitted as jobs: the request that starts one answers right away with the job,
+// and clients poll it (GET /api/jobs/:id) until it's done, so long runs don't wait on an
+// open request. Jobs live in this process only; finished ones are forgotten after `ttlMs`.
+//   { id, type, ownerId, sessionId, state, phase, percent, cancelRequested, createdAt,
+//     startedAt, finishedAt, result, error, details }
+// state goes queued -> running -> done | failed | cancelled; `percent` is for the whole job.
+
+// Where each phase of a reconciliation starts and ends in the job's percentage.
+const PHASE_SHARES = {
+  loading: [0, 10],
+  indexing: [10, 25],
+  matching: [25, 85],
+  summarizing: [85, 92],
+  saving: [92, 100]
+};
+
+// Jobs over a task runner (see ./tasks.js):
+//   start(name, payload, { ownerId, sessionId, toResult, onDone }) -> the new job; when the
+//                              task succeeds the job is done with `toResult(result)` as its
+//                              result (the task's result by default), then `onDone(result)`
+//                              runs: its failures are logged and leave the job done
+//   get(id)                 -> job or null
+//   cancel(id)              -> job or null; the task stops at its next progress report and
+//                              `cancelRequested` is set, unless the job is over or past its
+//                              last cancellation point (it then finishes as it would)
+export function createJobs({ tasks, ttlMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+
+  const finish = (job, fields) => {
+    Object.assign(job, fields, { finishedAt: Date.now() });
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+  };
+
+  function progress(job, { phase, done, total }) {
+    if (job.state === "queued") {
+      job.state = "running";
+      job.startedAt = Date.now();
+    }
+    job.phase = phase;
+    const [from, to] = PHASE_SHARES[phase] ?? [job.percent, job.percent];
+    const share = total ? Math.min(done / total, 1) : 1;
+    job.percent = Math.max(job.percent, Math.floor(from + (to - from) * share));
+  }
+
+  return {
+    start(name, payload, { ownerId, sessionId = null, toResult = (result) => result, onDone } = {}) {
+      const cancellation = createCancellation();
+      const job = {
+        id: nanoid(12),
+        type: name,
+        ownerId,
+        sessionId,
+        state: "queued",
+        phase: null,
+        percent: 0,
+        cancelRequested: false,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        details: null
+      };
+      jobs.set(job.id, { job, cancellation });
+
+      tasks.run(name, payload, { cancellation, onProgress: p => progress(job, p) })
+        .then((result) => {
+          finish(job, { state: "done", percent: 100, result: toResult(result) });
+          return onDone?.(result);
+        }, (e) => finish(job, e.cancelled
+          ? { state: "cancelled" }
+          : { state: "failed", error: e.message || "Task failed", details: e.details ?? null }))
+        .catch(e => console.error(`Job ${job.id} (${name}) finished, but its follow-up failed:`, e.message));
+      return job;
+    },
+    get(id) {
+      return jobs.get(id)?.job ?? null;
+    },
+    cancel(id) {
+      const entry = jobs.get(id);
+      if (!entry) return null;
+      if (!entry.job.finishedAt && entry.cancellation.cancel()) entry.job.cancelRequested = true;
+      return entry.job;
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+
+// Formatted deliverables for a reconciliation run: an .xlsx workbook and a printable PDF.
+// Both take the run plus what index.js already worked out for the CSV export:
+//   columns    [{ name, value(result) }] in export order
+//   results    the (filtered) results to list
+//   totals     amountTotals(run): { statuses: { [status]: { count, a, b, difference } }, total, ... }
+//   highlight  (result) -> Set of column names to mark as mismatching
+
+export const STATUS_LABELS = {
+  MATCHED: "Matched",
+  MATCHED_GROUP: "Matched (group)",
+  MISMATCH: "Mismatch",
+  MISSING_IN_A: "Missing in A",
+  MISSING_IN_B: "Missing in B",
+  DUPLICATE_IN_A: "Duplicate in A",
+  DUPLICATE_IN_B: "Duplicate in B"
+};
+
+// Same palette as the UI's chart and status chips.
+const STATUS_COLORS = {
+  MATCHED: "2ee59d",
+  MATCHED_GROUP: "2ee59d",
+  MISMATCH: "ff4c4c",
+  MISSING_IN_A: "ffc107",
+  MISSING_IN_B: "ffc107",
+  DUPLICATE_IN_A: "ff9f43",
+  DUPLICATE_IN_B: "ff9f43"
+};
+
+const MISMATCH_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FFFFC7CE" } };
+const HEADER_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FF1F2A44" } };
+
+const runInfoLines = ({ sessionId, run, meta }) => [
+  ["Session", sessionId],
+  ["Run", run.id],
+  ["Run at", new Date(run.createdAt).toISOString()],
+  ["Mode", run.mode === "custom" ? "Custom rules" : "Auto match"],
+  ["Dataset A", `${meta?.a?.file?.name ?? "A"} (${meta?.a?.rowCount ?? "?"} rows)`],
+  ["Dataset B", `${meta?.b?.file?.name ?? "B"} (${meta?.b?.rowCount ?? "?"} rows)`]
+];
+
+// Summary sheet (run details, counts and amount totals per status), then one sheet per
+// status with results, mismatching cells filled red. Resolves to the file's bytes.
+export async function buildWorkbook({ sessionId, run, meta, columns, results, totals, highlight }) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date(run.createdAt);
+
+  const summary = wb.addWorksheet("Summary");
+  summary.columns = [{ width: 22 }, { width: 14 }, { width: 18 }, { width: 18 }, { width: 18 }];
+  summary.addRow(["Reconciliation summary"]).font = { bold: true, size: 14 };
+  summary.addRow([]);
+  for (const line of runInfoLines({ sessionId, run, meta })) summary.addRow(line).getCell(1).font = { bold: true };
+  summary.addRow([]);
+
+  const header = summary.addRow(["Status", "Count", "Amount A", "Amount B", "Difference"]);
+  styleHeader(header);
+  for (const [status, label] of Object.entries(STATUS_LABELS)) {
+    const t = totals.statuses[status];
+    const row = summary.addRow([label, t.count, t.a, t.b, t.difference]);
+    row.getCell(1).font = { color: { argb: `FF${STATUS_COLORS[status]}` }, bold: true };
+  }
+  const total = summary.addRow(["Total", totals.total.count, totals.total.a, totals.total.b, totals.total.difference]);
+  total.font = { bold: true };
+  summary.addRow([]);
+  summary.addRow(["Mismatch variance (A - B)", null, null, null, totals.mismatchVariance]);
+  summary.addRow(["Unmatched in A", null, totals.unmatchedA]);
+  summary.addRow(["Unmatched in B", null, null, totals.unmatchedB]);
+  for (const col of [3, 4, 5]) summary.getColumn(col).numFmt = "#,##0.00";
+
+  for (const [status, label] of Object.entries(STATUS_LABELS)) {
+    const rows = results.filter(r => r.status === status);
+    if (!rows.length) continue;
+    const sheet = wb.addWorksheet(label.replace(/[\\/?*[\]:]/g, ""));
+    sheet.columns = columns.map(c => ({ header: c.name, key: c.name, width: Math.min(Math.max(c.name.length + 2, 12), 40) }));
+    styleHeader(sheet.getRow(1));
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+    for (const r of rows) {
+      const row = sheet.addRow(columns.map(c => c.value(r)));
+      const marked = highlight(r);
+      columns.forEach((c, i) => {
+        if (marked.has(c.name)) row.getCell(i + 1).fill = MISMATCH_FILL;
+      });
+    }
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  }
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function styleHeader(row) {
+  row.font = { bold: true, color: { argb: "FFFFFFFF" } };
+  row.eachCell(cell => { cell.fill = HEADER_FILL; });
+}
+
+const money = (n) => n === null || n === undefined
+  ? "—"
+  : n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// A4 report: run details, KPIs, the status breakdown as a pie chart with its numbers, and
+// the exception list. Resolves to the PDF's bytes.
+export function buildPdfReport({ sessionId, run, meta, results, totals, generatedBy }) {
+  const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: `Reconciliation report ${run.id}` } });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.fontSize(18).font("Helvetica-Bold").text("Reconciliation report");
+  doc.fontSize(9).font("Helvetica").fillColor("#555555")
+    .text(`Generated ${new Date().toISOString()}${generatedBy ? ` by ${generatedBy}` : ""}`);
+  doc.moveDown(0.8).fillColor("black");
+  for (const [label, value] of runInfoLines({ sessionId, run, meta })) {
+    doc.fontSize(10).font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(String(value));
+  }
+
+  // KPIs
+  const s = run.summary;
+  const matched = s.MATCHED + (s.MATCHED_GROUP || 0);
+  const openCases = results.filter(r => r.exception && (r.exception.state === "OPEN" || r.exception.state === "INVESTIGATING")).length;
+  const kpis = [
+    ["Records", s.total],
+    ["Match rate", s.total ? `${((matched / s.total) * 100).toFixed(1)}%` : "—"],
+    ["Mismatches", s.MISMATCH],
+    ["Missing", s.MISSING_IN_A + s.MISSING_IN_B],
+    ["Open exceptions", openCases],
+    ["Mismatch variance", money(totals.mismatchVariance)]
+  ];
+  doc.moveDown(1);
+  const kpiTop = doc.y;
+  const kpiWidth = width / kpis.length;
+  kpis.forEach(([label, value], i) => {
+    const x = left + i * kpiWidth;
+    doc.roundedRect(x + 2, kpiTop, kpiWidth - 4, 46, 4).strokeColor("#cccccc").stroke();
+    doc.fillColor("#555555").fontSize(8).font("Helvetica").text(label, x + 8, kpiTop + 8, { width: kpiWidth - 16 });
+    doc.fillColor("black").fontSize(13).font("Helvetica-Bold").text(String(value), x + 8, kpiTop + 22, { width: kpiWidth - 16 });
+  });
+  doc.x = left;
+  doc.y = kpiTop + 62;
+
+  // Status breakdown: pie on the left, table on the right.
+  doc.fontSize(12).font("Helvetica-Bold").text("Status breakdown");
+  const chartTop = doc.y + 8;
+  drawPie(doc, left + 70, chartTop + 70, 65, Object.keys(STATUS_LABELS).map(k => ({ value: s[k] || 0, color: `#${STATUS_COLORS[k]}` })));
+
+  const tableX = left + 170;
+  const cols = [tableX, tableX + 95, tableX + 135, tableX + 205, tableX + 275];
+  const line = (y, cells, bold) => {
+    doc.fontSize(9).font(bold ? "Helvetica-Bold" : "Helvetica").fillColor("black");
+    cells.forEach((text, i) => doc.text(String(text), cols[i], y, { width: (cols[i + 1] ?? left + width) - cols[i] - 4, align: i ? "right" : "left" }));
+  };
+  let y = chartTop;
+  line(y, ["Status", "Count", "Amount A", "Amount B", "Difference"], true);
+  for (const [status, label] of Object.entries(STATUS_LABELS)) {
+    y += 15;
+    const t = totals.statuses[status];
+    doc.rect(tableX - 10, y + 2, 6, 6).fill(`#${STATUS_COLORS[status]}`);
+    line(y, [label, t.count, money(t.a), money(t.b), money(t.difference)]);
+  }
+  y += 15;
+  line(y, ["Total", totals.total.count, money(totals.total.a), money(totals.total.b), money(totals.total.difference)], true);
+  doc.x = left;
+  doc.y = Math.max(y + 20, chartTop + 150);
+
+  // Exceptions
+  const exceptions = results.filter(r => r.exception);
+  doc.fontSize(12).font("Helvetica-Bold").text(`Exceptions (${exceptions.length})`, left);
+  doc.moveDown(0.4);
+  const ex = [left, left + 85, left + 175, left + 260, left + 330];
+  const exLine = (cells, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+    const top = doc.y;
+    doc.fontSize(8).font(bold ? "Helvetica-Bold" : "Helvetica").fillColor("black");
+    let bottom = top;
+    cells.forEach((text, i) => {
+      doc.text(String(text ?? ""), ex[i], top, { width: (ex[i + 1] ?? left + width) - ex[i] - 6 });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.x = left;
+    doc.y = bottom + 3;
+  };
+  if (!exceptions.length) {
+    doc.fontSize(9).font("Helvetica").text("No exceptions: every record matched.");
+  } else {
+    exLine(["Status", "Key", "Case", "Assignee", "Reason"], true);
+    for (const r of exceptions) {
+      exLine([
+        STATUS_LABELS[r.status] || r.status,
+        r.key,
+        r.exception.state.replace("_", " ").toLowerCase(),
+        r.exception.assignee || "—",
+        r.reason
+      ]);
+    }
+  }
+
+  doc.end();
+  return done;
+}
+
+// Pie from SVG arc paths; a single non-empty slice is drawn as a full circle.
+function drawPie(doc, cx, cy, radius, slices) {
+  const total = slices.reduce((sum, s) => sum + s.value, 0);
+  if (!total) {
+    doc.circle(cx, cy, radius).fill("#dddddd");
+    return;
+  }
+  let angle = -Math.PI / 2;
+  for (const { value, color } of slices) {
+    if (!value) continue;
+    if (value === total) {
+      doc.circle(cx, cy, radius).fill(color);
+      break;
+    }
+    const next = angle + (value / total) * 2 * Math.PI;
+    const point = (a) => `${(cx + radius * Math.cos(a)).toFixed(2)} ${(cy + radius * Math.sin(a)).toFixed(2)}`;
+    const large = next - angle > Math.PI ? 1 : 0;
+    doc.path(`M ${cx} ${cy} L ${point(angle)} A ${radius} ${radius} 0 ${large} 1 ${point(next)} Z`).fill(color);
+    angle = next;
+  }
+  doc.circle(cx, cy, radius * 0.55).fill("white");
+}
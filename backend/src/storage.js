@@ -0,0 +1,803 @@
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { resultIndex, queryResults, encodeCursor, decodeCursor, spliceResults } from "./engine.js";
+
+// Session storage: uploaded datasets, profiles, parse options and reconciliation runs.
+// Every store has the same async interface, so another backend only needs these methods:
+//   get(id)                  -> session or null (reading a session pushes its expiry back),
+//                               without the dataset rows: session.a/b.rowCount says how many
+//   set(id, session)         -> stores/replaces it; datasets that carry `rows` replace the
+//                               stored rows, the others keep them
+//   getRows(id)              -> { a, b } dataset rows in file order
+//   listByOwner(ownerId)     -> [{ id, createdAt, updatedAt, expiresAt, summary }] newest first,
+//                               from session.ownerId / session.summary
+//   delete(id)               -> true if it existed (its runs go with it)
+//   addRun(id, run)          -> stores a reconciliation run ({ id, createdAt, results, ... })
+//   listRuns(id)             -> the session's runs, oldest first, without their results
+//   getRun(id, runId)        -> one run with results, or null
+//   eachResult(id, runId)    -> async iterable over a run's results in order, read a batch
+//                               at a time (nothing for an unknown run)
+//   updateRun(id, run, change) -> replaces a stored run (manual overrides); with the
+//                               override's change ({ added: [results], removed: [ids] })
+//                               only the run's info and those results are written
+//   queryResults(id, runId, query) -> one page of a run's results, or null without the run;
+//                               query and answer as for engine queryResults()
+//   getResult(id, runId, entryId)  -> one result of a run, or null
+//   getRowResult(id, runId, side, rowId) -> the result (not a group) holding that row of
+//                               dataset "a" or "b", or null
+//   updateResult(id, runId, entry) -> replaces that result (exception changes)
+//   purgeExpired()           -> number of sessions removed
+//   close()
+// Sessions expire `ttlMs` after they were last used.
+
+// Run fields listed by listRuns() (everything but the per-record results).
+export const runInfo = ({ results, ...info }) => info;
+
+// A session document as stored: datasets without their rows, but with how many there are.
+export function withoutRows(session) {
+  const doc = { ...session };
+  for (const side of ["a", "b"]) {
+    if (!session[side]?.rows) continue;
+    const { rows, ...dataset } = session[side];
+    doc[side] = { ...dataset, rowCount: rows.length };
+  }
+  return doc;
+}
+
+// Pick a store by name ("sqlite" by default, "memory" for throwaway setups and dev).
+export function createSessionStore({ driver = "sqlite", file, ttlMs }) {
+  if (driver === "sqlite") return sqliteSessionStore({ file, ttlMs });
+  if (driver === "memory") return memorySessionStore({ ttlMs });
+  throw new Error(`Unknown session store "${driver}" (expected sqlite or memory)`);
+}
+
+// Sessions in a Map; lost on restart. Reads hand out copies, as the SQLite store's parsed
+// JSON is, so callers can change what they get without touching what's stored.
+export function memorySessionStore({ ttlMs }) {
+  const entries = new Map();
+  const alive = (entry, now) => entry && entry.expiresAt > now;
+  const copy = (value) => value == null ? null : structuredClone(value);
+
+  return {
+    async get(id) {
+      const now = Date.now();
+      const entry = entries.get(id);
+      if (!alive(entry, now)) return null;
+      entry.expiresAt = now + ttlMs;
+      return copy(entry.session);
+    },
+    async set(id, session) {
+      const now = Date.now();
+      const entry = entries.get(id);
+      entries.set(id, {
+        session: copy(withoutRows(session)),
+        rows: { a: session.a?.rows ?? entry?.rows.a ?? [], b: session.b?.rows ?? entry?.rows.b ?? [] },
+        runs: entry?.runs || [],
+        createdAt: entry?.createdAt || now,
+        updatedAt: now,
+        expiresAt: now + ttlMs
+      });
+    },
+    async listByOwner(ownerId) {
+      const now = Date.now();
+      return [...entries]
+        .filter(([, entry]) => alive(entry, now) && entry.session.ownerId === ownerId)
+        .map(([id, { createdAt, updatedAt, expiresAt, session }]) => ({ id, createdAt, updatedAt, expiresAt, summary: session.summary || null }))
+        .sort((x, y) => y.updatedAt - x.updatedAt);
+    },
+    async getRows(id) {
+      const entry = entries.get(id);
+      return { a: copy(entry?.rows.a) ?? [], b: copy(entry?.rows.b) ?? [] };
+    },
+    async delete(id) {
+      return entries.delete(id);
+    },
+    async addRun(id, run) {
+      const entry = entries.get(id);
+      if (!entry) throw new Error("Session not found.");
+      entry.runs.push(run);
+    },
+    async listRuns(id) {
+      return (entries.get(id)?.runs || []).map(run => copy(runInfo(run)));
+    },
+    async getRun(id, runId) {
+      return copy(entries.get(id)?.runs.find(r => r.id === runId));
+    },
+    async *eachResult(id, runId) {
+      for (const result of entries.get(id)?.runs.find(r => r.id === runId)?.results || []) yield copy(result);
+    },
+    async updateRun(id, run, change) {
+      const runs = entries.get(id)?.runs || [];
+      const i = runs.findIndex(r => r.id === run.id);
+      if (i < 0) throw new Error("Run not found.");
+      runs[i] = change ? { ...runInfo(run), results: spliceResults(runs[i].results, change) } : run;
+    },
+    async queryResults(id, runId, query) {
+      const run = entries.get(id)?.runs.find(r => r.id === runId);
+      return run ? copy(queryResults(run, query)) : null;
+    },
+    async getResult(id, runId, entryId) {
+      return copy(entries.get(id)?.runs.find(r => r.id === runId)?.results.find(r => r.id === entryId));
+    },
+    async getRowResult(id, runId, side, rowId) {
+      const results = entries.get(id)?.runs.find(r => r.id === runId)?.results || [];
+      return copy(results.find(r => r[side]?.__rowId === Number(rowId) && !r.group));
+    },
+    async updateResult(id, runId, entry) {
+      const results = entries.get(id)?.runs.find(r => r.id === runId)?.results || [];
+      const i = results.findIndex(r => r.id === entry.id);
+      if (i < 0) throw new Error("Result not found.");
+      results[i] = entry;
+    },
+    async purgeExpired() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (!alive(entry, now)) { entries.delete(id); removed++; }
+      }
+      return removed;
+    },
+    async close() {
+      entries.clear();
+    }
+  };
+}
+
+// Dataset rows written per transaction: other connections (the API next to a worker
+// storing a big upload) only ever wait for one batch.
+const ROW_BATCH = 2000;
+
+// Columns of run_results that each query sort goes by.
+const SORT_COLUMNS = {
+  position: "position",
+  status: "status",
+  key: "key",
+  reason: "reason",
+  a: "a_ref",
+  b: "b_ref",
+  exception: "exception",
+  assignee: "assignee"
+};
+
+// Sessions as JSON documents in a SQLite file (dataset rows, runs and their results in
+// their own tables), so they survive restarts. Results are indexed for paging, sorting
+// and substring search (FTS5 trigrams) without loading the run.
+export function sqliteSessionStore({ file, ttlMs }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+    CREATE TABLE IF NOT EXISTS runs (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+      created_at INTEGER NOT NULL,
+      info TEXT NOT NULL,
+      results TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS runs_session_id ON runs (session_id, created_at);
+    CREATE TABLE IF NOT EXISTS dataset_rows (
+      session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+      side TEXT NOT NULL,
+      row_id INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (session_id, side, row_id)
+    ) WITHOUT ROWID;
+    CREATE TABLE IF NOT EXISTS run_results (
+      run_id TEXT NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+      position REAL NOT NULL,
+      id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      exception TEXT NOT NULL,
+      assignee TEXT NOT NULL,
+      key TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      a_ref TEXT NOT NULL,
+      b_ref TEXT NOT NULL,
+      data TEXT NOT NULL,
+      UNIQUE (run_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS run_results_id ON run_results (run_id, id);
+    CREATE INDEX IF NOT EXISTS run_results_status ON run_results (run_id, status, position);
+    CREATE INDEX IF NOT EXISTS run_results_exception ON run_results (run_id, exception, position);
+    CREATE VIRTUAL TABLE IF NOT EXISTS run_results_search USING fts5 (text, tokenize = 'trigram');
+    CREATE TRIGGER IF NOT EXISTS run_results_unindex AFTER DELETE ON run_results BEGIN
+      DELETE FROM run_results_search WHERE rowid = old.rowid;
+    END;
+  `);
+  // Owner columns came after the first schema; add them to older databases.
+  const columns = db.prepare("PRAGMA table_info(sessions)").all().map(c => c.name);
+  if (!columns.includes("owner_id")) db.exec("ALTER TABLE sessions ADD COLUMN owner_id TEXT");
+  if (!columns.includes("summary")) db.exec("ALTER TABLE sessions ADD COLUMN summary TEXT");
+  db.exec("CREATE INDEX IF NOT EXISTS sessions_owner_id ON sessions (owner_id, updated_at)");
+
+  const select = db.prepare("SELECT data FROM sessions WHERE id = ? AND expires_at > ?");
+  const touch = db.prepare("UPDATE sessions SET expires_at = ? WHERE id = ?");
+  const upsert = db.prepare(`
+    INSERT INTO sessions (id, created_at, updated_at, expires_at, owner_id, summary, data)
+    VALUES (@id, @now, @now, @expiresAt, @ownerId, @summary, @data)
+    ON CONFLICT(id) DO UPDATE SET updated_at = @now, expires_at = @expiresAt, owner_id = @ownerId, summary = @summary, data = @data
+  `);
+  const selectOwned = db.prepare(`
+    SELECT id, created_at, updated_at, expires_at, summary FROM sessions
+    WHERE owner_id = ? AND expires_at > ? ORDER BY updated_at DESC
+  `);
+  const clearRows = db.prepare("DELETE FROM dataset_rows WHERE session_id = ? AND side = ?");
+  const insertRow = db.prepare("INSERT INTO dataset_rows (session_id, side, row_id, data) VALUES (?, ?, ?, ?)");
+  const insertRows = db.transaction((id, side, rows) => {
+    for (const row of rows) insertRow.run(id, side, row.__rowId, JSON.stringify(row));
+  });
+  const selectRows = db.prepare("SELECT data FROM dataset_rows WHERE session_id = ? AND side = ? ORDER BY row_id");
+  const remove = db.prepare("DELETE FROM sessions WHERE id = ?");
+  const purge = db.prepare("DELETE FROM sessions WHERE expires_at <= ?");
+  const insertRun = db.prepare(`
+    INSERT INTO runs (id, session_id, created_at, info, results)
+    VALUES (@id, @sessionId, @createdAt, @info, @results)
+  `);
+  const selectRuns = db.prepare("SELECT info FROM runs WHERE session_id = ? ORDER BY created_at, rowid");
+  const selectRun = db.prepare("SELECT info FROM runs WHERE session_id = ? AND id = ?").pluck();
+  const replaceRun = db.prepare("UPDATE runs SET info = @info WHERE session_id = @sessionId AND id = @id");
+
+  // Results: one row each, with the fields queries filter and sort on; their search text
+  // goes to run_results_search under the same rowid. Positions are the run order; results
+  // an override puts in place of others go between their neighbours.
+  const insertResult = db.prepare(`
+    INSERT INTO run_results (run_id, position, id, status, exception, assignee, key, reason, a_ref, b_ref, data)
+    VALUES (@runId, @position, @id, @status, @exception, @assignee, @key, @reason, @a, @b, @data)
+  `);
+  const insertSearch = db.prepare("INSERT INTO run_results_search (rowid, text) VALUES (?, ?)");
+  const addResult = (runId, index, result, position) => {
+    const entry = index(result);
+    const { lastInsertRowid } = insertResult.run({ runId, position, id: result.id, ...entry, data: JSON.stringify(result) });
+    insertSearch.run(lastInsertRowid, entry.search);
+  };
+  const insertResults = db.transaction((runId, index, results, start) => {
+    results.forEach((result, i) => addResult(runId, index, result, start + i));
+  });
+  const storeResults = (run) => {
+    const index = resultIndex(run);
+    for (let i = 0; i < run.results.length; i += ROW_BATCH) insertResults(run.id, index, run.results.slice(i, i + ROW_BATCH), i);
+  };
+  const clearResults = db.prepare("DELETE FROM run_results WHERE run_id = ?");
+  const removeResult = db.prepare("DELETE FROM run_results WHERE run_id = ? AND id = ? RETURNING position").pluck();
+  const positionAfter = db.prepare("SELECT MIN(position) FROM run_results WHERE run_id = ? AND position > ?").pluck();
+  const selectResults = db.prepare("SELECT data FROM run_results WHERE run_id = ? ORDER BY position").pluck();
+  const selectResultsAfter = db.prepare(`
+    SELECT position, data FROM run_results WHERE run_id = ? AND position > ? ORDER BY position LIMIT ?
+  `);
+  const selectResult = db.prepare(`
+    SELECT r.rowid, r.data FROM run_results r JOIN runs ON runs.id = r.run_id
+    WHERE runs.session_id = ? AND r.run_id = ? AND r.id = ?
+  `);
+  // Result ids list the rows they hold ("a:1|b:7"), so a row's result is found by its id.
+  const selectRowResults = db.prepare(`
+    SELECT r.data FROM run_results r JOIN runs ON runs.id = r.run_id
+    WHERE runs.session_id = @sessionId AND r.run_id = @runId
+      AND (r.id = @ref OR r.id LIKE @ref || '|%' OR r.id LIKE '%|' || @ref)
+  `).pluck();
+  const replaceResult = db.prepare(`
+    UPDATE run_results SET status = @status, exception = @exception, assignee = @assignee, key = @key,
+      reason = @reason, a_ref = @a, b_ref = @b, data = @data
+    WHERE rowid = @rowid
+  `);
+  const replaceSearch = db.prepare("UPDATE run_results_search SET text = ? WHERE rowid = ?");
+  const countExceptions = db.prepare(`
+    SELECT exception, COUNT(*) AS n FROM run_results WHERE run_id = ? AND exception != '' GROUP BY exception
+  `);
+  // Result queries are put together per filter and sort; their statements are kept.
+  const statements = new Map();
+  const prepared = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+
+  // Runs stored before results had their own table keep them as one JSON list; move them.
+  const legacyRuns = db.prepare("SELECT id FROM runs WHERE results != '[]'").pluck().all();
+  for (const runId of legacyRuns) {
+    const row = db.prepare("SELECT info, results FROM runs WHERE id = ?").get(runId);
+    db.transaction(() => {
+      storeResults({ ...JSON.parse(row.info), results: JSON.parse(row.results) });
+      db.prepare("UPDATE runs SET results = '[]' WHERE id = ?").run(runId);
+    })();
+  }
+
+  return {
+    async get(id) {
+      const now = Date.now();
+      const row = select.get(id, now);
+      if (!row) return null;
+      touch.run(now + ttlMs, id);
+      return JSON.parse(row.data);
+    },
+    async set(id, session) {
+      const now = Date.now();
+      upsert.run({
+        id,
+        now,
+        expiresAt: now + ttlMs,
+        ownerId: session.ownerId ?? null,
+        summary: session.summary ? JSON.stringify(session.summary) : null,
+        data: JSON.stringify(withoutRows(session))
+      });
+      for (const side of ["a", "b"]) {
+        const rows = session[side]?.rows;
+        if (!rows) continue;
+        clearRows.run(id, side);
+        for (let i = 0; i < rows.length; i += ROW_BATCH) insertRows(id, side, rows.slice(i, i + ROW_BATCH));
+      }
+    },
+    async getRows(id) {
+      const rows = {};
+      for (const side of ["a", "b"]) {
+        rows[side] = [];
+        for (const row of selectRows.iterate(id, side)) rows[side].push(JSON.parse(row.data));
+      }
+      return rows;
+    },
+    async listByOwner(ownerId) {
+      return selectOwned.all(ownerId, Date.now()).map(row => ({
+        id: row.id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        expiresAt: row.expires_at,
+        summary: row.summary ? JSON.parse(row.summary) : null
+      }));
+    },
+    async delete(id) {
+      return remove.run(id).changes > 0;
+    },
+    async addRun(id, run) {
+      insertRun.run({
+        id: run.id,
+        sessionId: id,
+        createdAt: run.createdAt,
+        info: JSON.stringify(runInfo(run)),
+        results: "[]"
+      });
+      storeResults(run);
+    },
+    async listRuns(id) {
+      return selectRuns.all(id).map(row => JSON.parse(row.info));
+    },
+    async getRun(id, runId) {
+      const info = selectRun.get(id, runId);
+      if (!info) return null;
+      return { ...JSON.parse(info), results: selectResults.all(runId).map(data => JSON.parse(data)) };
+    },
+    async *eachResult(id, runId) {
+      if (!selectRun.get(id, runId)) return;
+      // Page by position rather than hold a cursor open across the awaits of the consumer.
+      for (let after = -1; ;) {
+        const rows = selectResultsAfter.all(runId, after, ROW_BATCH);
+        if (!rows.length) return;
+        for (const row of rows) yield JSON.parse(row.data);
+        after = rows[rows.length - 1].position;
+      }
+    },
+    async updateRun(id, run, change) {
+      db.transaction(() => {
+        const { changes } = replaceRun.run({ id: run.id, sessionId: id, info: JSON.stringify(runInfo(run)) });
+        if (!changes) throw new Error("Run not found.");
+        if (!change) {
+          clearResults.run(run.id);
+          storeResults(run);
+          return;
+        }
+        // Added results take the place of the first one removed, as in applyOverride.
+        const at = Math.min(...change.removed.map(entryId => removeResult.get(run.id, entryId) ?? Infinity));
+        if (at === Infinity) throw new Error("Result not found.");
+        const next = positionAfter.get(run.id, at) ?? at + change.added.length;
+        const index = resultIndex(run);
+        change.added.forEach((result, i) => addResult(run.id, index, result, at + (i * (next - at)) / change.added.length));
+      })();
+    },
+    async queryResults(id, runId, { status, exception, search, sort = "position", order = "asc", offset = 0, limit = 100, cursor } = {}) {
+      const info = selectRun.get(id, runId);
+      if (!info) return null;
+      const column = SORT_COLUMNS[sort];
+      if (!column) throw new Error(`Unknown sort "${sort}".`);
+      const params = { runId, status, exception };
+      const where = ["run_id = @runId"];
+      if (status) where.push("status = @status");
+      if (exception) where.push("exception = @exception");
+      const q = search?.trim().toLowerCase();
+      if (q) {
+        // Trigrams find substrings of 3+ characters; shorter ones are checked row by row.
+        if (q.length >= 3) {
+          where.push("rowid IN (SELECT rowid FROM run_results_search WHERE text MATCH @match)");
+          params.match = `"${q.replace(/"/g, '""')}"`;
+        } else {
+          where.push("EXISTS (SELECT 1 FROM run_results_search s WHERE s.rowid = run_results.rowid AND instr(s.text, @q) > 0)");
+          params.q = q;
+        }
+      }
+      const total = prepared(`SELECT COUNT(*) FROM run_results WHERE ${where.join(" AND ")}`).pluck().get(params);
+
+      const dir = order === "desc" ? "DESC" : "ASC";
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        const op = order === "desc" ? "<" : ">";
+        where.push(`(${column} ${op} @after OR (${column} = @after AND position ${op} @afterPosition))`);
+        Object.assign(params, { after: after.value, afterPosition: after.position });
+      }
+      const rows = prepared(`
+        SELECT position, ${column} AS value, data FROM run_results WHERE ${where.join(" AND ")}
+        ORDER BY ${column} ${dir}, position ${dir} LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit: limit + 1, offset: cursor ? 0 : offset });
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        results: page.map(row => JSON.parse(row.data)),
+        total,
+        nextCursor: rows.length > limit ? encodeCursor(last.value, last.position) : null,
+        exceptions: Object.fromEntries(countExceptions.all(runId).map(row => [row.exception, row.n]))
+      };
+    },
+    async getResult(id, runId, entryId) {
+      const row = selectResult.get(id, runId, entryId);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async getRowResult(id, runId, side, rowId) {
+      const results = selectRowResults.all({ sessionId: id, runId, ref: `${side}:${Number(rowId)}` }).map(data => JSON.parse(data));
+      return results.find(r => r[side]?.__rowId === Number(rowId) && !r.group) || null;
+    },
+    async updateResult(id, runId, entry) {
+      const info = selectRun.get(id, runId);
+      const row = info && selectResult.get(id, runId, entry.id);
+      if (!row) throw new Error("Result not found.");
+      const indexed = resultIndex(JSON.parse(info))(entry);
+      db.transaction(() => {
+        replaceResult.run({ rowid: row.rowid, ...indexed, data: JSON.stringify(entry) });
+        replaceSearch.run(indexed.search, row.rowid);
+      })();
+    },
+    async purgeExpired() {
+      return purge.run(Date.now()).changes;
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Local user accounts and logged-out tokens:
+//   create({ username, name, passwordHash }) -> user ({ id, username, name, passwordHash, createdAt })
+//   findByUsername(username) / findById(id)  -> user or null
+//   revokeToken(jti, expiresAt)              -> the token is refused until it would have expired
+//   isTokenRevoked(jti)
+//   purgeExpired()                           -> number of revocations dropped
+//   close()
+export function createUserStore({ driver = "sqlite", file }) {
+  if (driver === "sqlite") return sqliteUserStore({ file });
+  if (driver === "memory") return memoryUserStore();
+  throw new Error(`Unknown user store "${driver}" (expected sqlite or memory)`);
+}
+
+export function memoryUserStore() {
+  const users = new Map();
+  const revoked = new Map();
+
+  return {
+    async create({ username, name, passwordHash }) {
+      if ([...users.values()].some(u => u.username === username)) throw new Error("Username is taken.");
+      const user = { id: randomUUID(), username, name: name || null, passwordHash, createdAt: Date.now() };
+      users.set(user.id, user);
+      return user;
+    },
+    async findByUsername(username) {
+      return [...users.values()].find(u => u.username === username) || null;
+    },
+    async findById(id) {
+      return users.get(id) || null;
+    },
+    async revokeToken(jti, expiresAt) {
+      revoked.set(jti, expiresAt);
+    },
+    async isTokenRevoked(jti) {
+      return revoked.has(jti);
+    },
+    async purgeExpired() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [jti, expiresAt] of revoked) {
+        if (expiresAt <= now) { revoked.delete(jti); removed++; }
+      }
+      return removed;
+    },
+    async close() {
+      users.clear();
+      revoked.clear();
+    }
+  };
+}
+
+// Users in the same SQLite file as the sessions.
+export function sqliteUserStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti TEXT PRIMARY KEY,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+
+  const toUser = (row) => row && {
+    id: row.id,
+    username: row.username,
+    name: row.name,
+    passwordHash: row.password_hash,
+    createdAt: row.created_at
+  };
+  const insert = db.prepare(`
+    INSERT INTO users (id, username, name, password_hash, created_at)
+    VALUES (@id, @username, @name, @passwordHash, @createdAt)
+  `);
+  const byUsername = db.prepare("SELECT * FROM users WHERE username = ?");
+  const byId = db.prepare("SELECT * FROM users WHERE id = ?");
+  const revoke = db.prepare("INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)");
+  const isRevoked = db.prepare("SELECT 1 FROM revoked_tokens WHERE jti = ?");
+  const purge = db.prepare("DELETE FROM revoked_tokens WHERE expires_at <= ?");
+
+  return {
+    async create({ username, name, passwordHash }) {
+      const user = { id: randomUUID(), username, name: name || null, passwordHash, createdAt: Date.now() };
+      try {
+        insert.run(user);
+      } catch (e) {
+        if (e.code === "SQLITE_CONSTRAINT_UNIQUE") throw new Error("Username is taken.");
+        throw e;
+      }
+      return user;
+    },
+    async findByUsername(username) {
+      return toUser(byUsername.get(username)) || null;
+    },
+    async findById(id) {
+      return toUser(byId.get(id)) || null;
+    },
+    async revokeToken(jti, expiresAt) {
+      revoke.run(jti, expiresAt);
+    },
+    async isTokenRevoked(jti) {
+      return Boolean(isRevoked.get(jti));
+    },
+    async purgeExpired() {
+      return purge.run(Date.now()).changes;
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Append-only audit trail: entries can be added and read, never changed or removed (the
+// SQLite table refuses UPDATE and DELETE), and outlive the sessions they describe.
+//   append({ userId, user, action, sessionId, runId, details }) -> entry ({ id, at, ... })
+//   list({ userId, sessionId?, action?, from?, to? })           -> entries, oldest first
+//   close()
+export function createAuditLog({ driver = "sqlite", file }) {
+  if (driver === "sqlite") return sqliteAuditLog({ file });
+  if (driver === "memory") return memoryAuditLog();
+  throw new Error(`Unknown audit log "${driver}" (expected sqlite or memory)`);
+}
+
+const auditMatches = ({ userId, sessionId, action, from, to }) => (e) =>
+  e.userId === userId &&
+  (!sessionId || e.sessionId === sessionId) &&
+  (!action || e.action === action) &&
+  (!from || e.at >= from) &&
+  (!to || e.at <= to);
+
+export function memoryAuditLog() {
+  const entries = [];
+  return {
+    async append({ userId, user = null, action, sessionId = null, runId = null, details = {} }) {
+      const entry = Object.freeze({ id: entries.length + 1, at: Date.now(), userId, user, action, sessionId, runId, details });
+      entries.push(entry);
+      return entry;
+    },
+    async list(query) {
+      return entries.filter(auditMatches(query));
+    },
+    async close() {}
+  };
+}
+
+export function sqliteAuditLog({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      user TEXT,
+      action TEXT NOT NULL,
+      session_id TEXT,
+      run_id TEXT,
+      details TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_user ON audit_log (user_id, session_id, at);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO audit_log (at, user_id, user, action, session_id, run_id, details)
+    VALUES (@at, @userId, @user, @action, @sessionId, @runId, @details)
+  `);
+  const select = db.prepare(`
+    SELECT * FROM audit_log
+    WHERE user_id = @userId
+      AND (@sessionId IS NULL OR session_id = @sessionId)
+      AND (@action IS NULL OR action = @action)
+      AND (@from IS NULL OR at >= @from)
+      AND (@to IS NULL OR at <= @to)
+    ORDER BY id
+  `);
+  const toEntry = (row) => ({
+    id: row.id,
+    at: row.at,
+    userId: row.user_id,
+    user: row.user,
+    action: row.action,
+    sessionId: row.session_id,
+    runId: row.run_id,
+    details: JSON.parse(row.details)
+  });
+
+  return {
+    async append({ userId, user = null, action, sessionId = null, runId = null, details = {} }) {
+      const at = Date.now();
+      const { lastInsertRowid } = insert.run({ at, userId, user, action, sessionId, runId, details: JSON.stringify(details) });
+      return { id: Number(lastInsertRowid), at, userId, user, action, sessionId, runId, details };
+    },
+    async list({ userId, sessionId = null, action = null, from = null, to = null }) {
+      return select.all({ userId, sessionId, action, from, to }).map(toEntry);
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Saved reconciliation templates: a name plus the settings of a run (mode, mapping, rules,
+// parse options, FX options) and the headers of the files they were saved from. Names are
+// unique per owner.
+//   list(ownerId)                      -> templates, most recently updated first
+//   get(id)                            -> template or null
+//   create({ ownerId, name, ...data }) -> template ({ id, ownerId, name, createdAt, updatedAt, ...data })
+//   update(id, { name, ...data })      -> the updated template, or null if it doesn't exist
+//   delete(id)                         -> true if it existed
+//   close()
+export function createTemplateStore({ driver = "sqlite", file }) {
+  if (driver === "sqlite") return sqliteTemplateStore({ file });
+  if (driver === "memory") return memoryTemplateStore();
+  throw new Error(`Unknown template store "${driver}" (expected sqlite or memory)`);
+}
+
+const templateNameTaken = (name) => new Error(`A template named "${name}" already exists.`);
+
+export function memoryTemplateStore() {
+  const templates = new Map();
+  const taken = (ownerId, name, id) => [...templates.values()].some(t => t.ownerId === ownerId && t.name === name && t.id !== id);
+
+  return {
+    async list(ownerId) {
+      return [...templates.values()].filter(t => t.ownerId === ownerId).sort((x, y) => y.updatedAt - x.updatedAt);
+    },
+    async get(id) {
+      return templates.get(id) || null;
+    },
+    async create({ ownerId, name, ...data }) {
+      if (taken(ownerId, name)) throw templateNameTaken(name);
+      const now = Date.now();
+      const template = { ...data, id: randomUUID(), ownerId, name, createdAt: now, updatedAt: now };
+      templates.set(template.id, template);
+      return template;
+    },
+    async update(id, { name, ...data }) {
+      const existing = templates.get(id);
+      if (!existing) return null;
+      if (taken(existing.ownerId, name, id)) throw templateNameTaken(name);
+      const template = { ...data, id, ownerId: existing.ownerId, name, createdAt: existing.createdAt, updatedAt: Date.now() };
+      templates.set(id, template);
+      return template;
+    },
+    async delete(id) {
+      return templates.delete(id);
+    },
+    async close() {
+      templates.clear();
+    }
+  };
+}
+
+export function sqliteTemplateStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS templates (
+      id TEXT PRIMARY KEY,
+      owner_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      UNIQUE (owner_id, name)
+    );
+  `);
+
+  const toTemplate = (row) => row && {
+    ...JSON.parse(row.data),
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  const selectOwned = db.prepare("SELECT * FROM templates WHERE owner_id = ? ORDER BY updated_at DESC, rowid DESC");
+  const select = db.prepare("SELECT * FROM templates WHERE id = ?");
+  const insert = db.prepare(`
+    INSERT INTO templates (id, owner_id, name, created_at, updated_at, data)
+    VALUES (@id, @ownerId, @name, @now, @now, @data)
+  `);
+  const replace = db.prepare("UPDATE templates SET name = @name, updated_at = @now, data = @data WHERE id = @id");
+  const remove = db.prepare("DELETE FROM templates WHERE id = ?");
+  // The unique (owner, name) index turns a duplicate name into a readable error.
+  const run = (statement, params) => {
+    try {
+      return statement.run(params);
+    } catch (e) {
+      if (e.code === "SQLITE_CONSTRAINT_UNIQUE") throw templateNameTaken(params.name);
+      throw e;
+    }
+  };
+
+  return {
+    async list(ownerId) {
+      return selectOwned.all(ownerId).map(toTemplate);
+    },
+    async get(id) {
+      return toTemplate(select.get(id)) || null;
+    },
+    async create({ ownerId, name, ...data }) {
+      const id = randomUUID();
+      run(insert, { id, ownerId, name, now: Date.now(), data: JSON.stringify(data) });
+      return toTemplate(select.get(id));
+    },
+    async update(id, { name, ...data }) {
+      const { changes } = run(replace, { id, name, now: Date.now(), data: JSON.stringify(data) });
+      return changes ? toTemplate(select.get(id)) : null;
+    },
+    async delete(id) {
+      return remove.run(id).changes > 0;
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
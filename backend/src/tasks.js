@@ -0,0 +1,205 @@
+import os from "node:os";
+import { Worker } from "node:worker_threads";
+import { loadDatasets, attachRows, createRun } from "./engine.js";
+import { withoutRows, runInfo } from "./storage.js";
+
+// Reading uploads and reconciling take seconds to minutes on million-row files, so the
+// API hands them to worker threads (./worker.js) that open their own connection to the
+// SQLite store: rows never pass through the HTTP thread, which only gets session
+// documents back. The memory store can't be shared with a worker, so there the worker
+// only does the work: its input is read on the HTTP thread and passed in (rows included),
+// and its output is stored there.
+// Each task runs in three steps, `load` and `save` against the store and `work` without it:
+//   load(store, payload, onProgress) -> input;  work(input, onProgress) -> output;
+//   save(store, input, output, onProgress) -> result
+//   ingest     { sessionId, ownerId, files: { a, b }, options } -> the new session (no rows)
+//              files are { originalname, path, size }; options as for loadDatasets
+//   reconcile  { sessionId, settings } -> { session, run }, the run stored as the latest
+//              (without its results: they're read back from the store page by page).
+//              Progress: "loading" the rows, the engine's phases, then "saving"
+// A report with `last: true` is the task's last cancellation point (see createCancellation).
+// Matching works on both datasets in memory (candidate indexes over every row), so a
+// reconciliation is refused above RECON_MAX_ROWS rows in all; reading, storing, paging
+// results, overrides and run diffs go through the store and aren't bound by it.
+const RECON_MAX_ROWS = Number(process.env.RECON_MAX_ROWS || 2000000);
+
+export const tasks = {
+  ingest: {
+    async load(store, payload) {
+      return payload;
+    },
+    async work({ ownerId, files, options }, onProgress) {
+      const session = { ownerId, ...await loadDatasets(files, { ...options, onProgress }) };
+      session.summary = sessionSummary(session);
+      return session;
+    },
+    async save(store, { sessionId }, session) {
+      await store.set(sessionId, session);
+      return withoutRows(session);
+    }
+  },
+
+  reconcile: {
+    async load(store, { sessionId, settings }, onProgress) {
+      const s = await store.get(sessionId);
+      if (!s) throw new Error("Session not found. Upload files again.");
+      const rows = sessionSummary(s).rows;
+      if (rows.a + rows.b > RECON_MAX_ROWS) {
+        throw new Error(`The datasets have ${rows.a + rows.b} rows; reconciling is limited to ${RECON_MAX_ROWS} (RECON_MAX_ROWS) because matching holds every row in memory.`);
+      }
+      onProgress?.({ phase: "loading", done: 0, total: 1 });
+      // Sessions stored before rows had their own table still carry them (save moves them).
+      if (!s.a.rows) attachRows(s, await store.getRows(sessionId));
+      return { sessionId, session: s, settings };
+    },
+    // New parse options change the session's options and profiles as well as the run.
+    async work({ session, settings }, onProgress) {
+      const run = createRun(session, settings, { onProgress });
+      return { run, parseOptions: session.parseOptions, meta: session.meta };
+    },
+    async save(store, { sessionId }, { run, parseOptions, meta }, onProgress) {
+      // Last point a cancelled task stops at: nothing is stored before it.
+      onProgress?.({ phase: "saving", done: 0, total: 1, last: true });
+      // The session as it is now: changes made while the run was matching (FX rates) stay,
+      // only what the run decides is written.
+      const s = await store.get(sessionId);
+      if (!s) throw new Error("The session was deleted while it was being reconciled.");
+      Object.assign(s, { parseOptions, meta, lastRunId: run.id, lastSummary: run.summary });
+      s.summary = sessionSummary(s);
+      await store.addRun(sessionId, run);
+      // A session that still carries its rows (see load) has them moved to their table here.
+      await store.set(sessionId, s);
+      return { session: withoutRows(s), run: runInfo(run) };
+    }
+  }
+};
+
+// One task start to end against a store.
+export async function runTask(name, store, payload, onProgress) {
+  const task = tasks[name];
+  const input = await task.load(store, payload, onProgress);
+  return task.save(store, input, await task.work(input, onProgress), onProgress);
+}
+
+// What the session list shows without loading the datasets.
+export const sessionSummary = (s) => ({
+  files: { a: s.a.file?.name ?? null, b: s.b.file?.name ?? null },
+  rows: { a: s.a.rowCount ?? s.a.rows.length, b: s.b.rowCount ?? s.b.rows.length },
+  lastRunId: s.lastRunId ?? null,
+  lastSummary: s.lastSummary ?? null
+});
+
+// The error a task stops with when it's cancelled.
+export const cancelledError = () => Object.assign(new Error("Cancelled."), { cancelled: true });
+
+// States of a cancellation flag, shared with the task's worker (too busy to read messages
+// while matching): whichever of cancel() and the task's last cancellation point comes
+// first wins, atomically.
+const RUNNING = 0, CANCELLED = 1, COMMITTED = 2;
+
+// A task's cancellation: cancel() -> true when the task will stop, false once it's past its
+// last cancellation point and will finish. `signal` aborts on cancel (tasks waiting their turn).
+export function createCancellation() {
+  const flag = new Int32Array(new SharedArrayBuffer(4));
+  const controller = new AbortController();
+  return {
+    flag,
+    signal: controller.signal,
+    cancel() {
+      if (Atomics.compareExchange(flag, 0, RUNNING, CANCELLED) === COMMITTED) return false;
+      controller.abort();
+      return true;
+    }
+  };
+}
+
+// At each progress report of a task: stop if it was cancelled. Its last cancellation point
+// (`last`) also commits it, so later cancels fail.
+export function checkCancelled(flag, { last } = {}) {
+  const state = last ? Atomics.compareExchange(flag, 0, RUNNING, COMMITTED) : Atomics.load(flag, 0);
+  if (state === CANCELLED) throw cancelledError();
+}
+
+// Runs tasks for the API: run(name, payload, { onProgress, cancellation }) -> the task's
+// result. At most `workers` run at once (RECON_WORKERS, one less than the CPUs by default);
+// the rest wait. `cancellation` (createCancellation()) stops the task with cancelledError()
+// at its next progress report, before anything is stored.
+// Errors keep their message, `details` and `cancelled` across the thread boundary.
+export function createTaskRunner({ store, storeOptions, workers = Number(process.env.RECON_WORKERS) || Math.max(1, os.availableParallelism() - 1) }) {
+  const shared = storeOptions.driver === "sqlite";
+  let running = 0;
+  const waiting = [];
+  const acquire = (signal) => {
+    if (running < workers) {
+      running++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const ready = () => {
+        signal?.removeEventListener("abort", abort);
+        resolve();
+      };
+      const abort = () => {
+        waiting.splice(waiting.indexOf(ready), 1);
+        reject(cancelledError());
+      };
+      waiting.push(ready);
+      signal?.addEventListener("abort", abort, { once: true });
+    });
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+  };
+
+  return {
+    async run(name, payload, { onProgress, cancellation = createCancellation() } = {}) {
+      if (!tasks[name]) throw new Error(`Unknown task "${name}"`);
+      checkCancelled(cancellation.flag);
+      if (shared) {
+        await acquire(cancellation.signal);
+        try {
+          return await runInWorker({ storeOptions, name, payload }, onProgress, cancellation.flag);
+        } finally {
+          release();
+        }
+      }
+      const checked = (progress) => {
+        checkCancelled(cancellation.flag, progress);
+        onProgress?.(progress);
+      };
+      const input = await tasks[name].load(store, payload, checked);
+      await acquire(cancellation.signal);
+      let output;
+      try {
+        output = await runInWorker({ name, input }, onProgress, cancellation.flag);
+      } finally {
+        release();
+      }
+      return tasks[name].save(store, input, output, checked);
+    }
+  };
+}
+
+// A worker for one task: given `storeOptions` it runs the whole task with its own store
+// connection, given `input` only the task's work. `cancel` is the task's cancellation flag.
+function runInWorker(data, onProgress, cancel) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./worker.js", import.meta.url), { workerData: { ...data, cancel } });
+    let settled = false;
+    worker.on("message", (msg) => {
+      if (msg.type === "progress") return onProgress?.(msg.progress);
+      settled = true;
+      if (msg.type === "done") resolve(msg.result);
+      else reject(Object.assign(new Error(msg.message), msg.details && { details: msg.details }, msg.cancelled && { cancelled: true }));
+    });
+    worker.on("error", (e) => {
+      settled = true;
+      reject(e);
+    });
+    worker.on("exit", (code) => {
+      if (!settled) reject(new Error(`Task ${data.name} stopped unexpectedly (exit code ${code}).`));
+    });
+  });
+}
@@ -0,0 +1,23 @@
+import { parentPort, workerData } from "node:worker_threads";
+import { createSessionStore } from "./storage.js";
+import { tasks, runTask, checkCancelled } from "./tasks.js";
+
+// Worker thread for one task (see ./tasks.js): posts { type: "progress", progress } while
+// it runs, then { type: "done", result } or { type: "error", message, details, cancelled }.
+// With `storeOptions` it runs the whole task against its own store connection; with
+// `input` (stores it can't share) only the task's work, and `result` is its output.
+// `cancel` is the task's cancellation flag; it stops at its next progress report.
+const { storeOptions, name, payload, input, cancel } = workerData;
+const store = storeOptions ? createSessionStore(storeOptions) : null;
+const onProgress = (progress) => {
+  checkCancelled(cancel, progress);
+  parentPort.postMessage({ type: "progress", progress });
+};
+try {
+  const result = store ? await runTask(name, store, payload, onProgress) : await tasks[name].work(input, onProgress);
+  parentPort.postMessage({ type: "done", result });
+} catch (e) {
+  parentPort.postMessage({ type: "error", message: e.message || "Task failed", details: e.details, cancelled: e.cancelled });
+} finally {
+  await store?.close();
+}
@@ -3,9 +3,11 @@
   import {
     Box, Container, CssBaseline, ThemeProvider, Typography, Stepper, Step, StepLabel,
     Paper, Button, Stack, Chip, Divider, Alert, Snackbar, IconButton, Tooltip, TextField,
-    Drawer
+    Drawer, FormControlLabel, Switch, MenuItem, Dialog, DialogTitle, DialogContent, Checkbox, LinearProgress
   } from "@mui/material";
   import CloseIcon from "@mui/icons-material/Close";
+  import AddIcon from "@mui/icons-material/Add";
+  import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
   import UploadFileIcon from "@mui/icons-material/UploadFile";
   import AutoAwesomeIcon from "@mui/icons-material/AutoAwesome";
   import TuneIcon from "@mui/icons-material/Tune";
@@ -16,11 +18,11 @@
   import { motion, AnimatePresence } from "framer-motion";
 
   import { theme } from "./theme";
-  import { createSession, runReconcile, exportUrl } from "./api";
-  import { useAppContext } from "./AppContext.jsx";
+  import { createSession, getSession, runReconcile, waitForJob, cancelJob, exportUrl, openDownload, listRuns, getRun, listResults, diffRuns, overrideRun, updateException, getExportColumns, listAudit, auditExportUrl, authenticate, getMe, logout, getAuthToken, onUnauthorized, listSessions, deleteSession, uploadFxRates, deleteFxRates, listTemplates, suggestTemplates, saveTemplate, updateTemplate, deleteTemplate } from "./api";
+  import { useAppContext, defaultParseOptions, defaultFx } from "./AppContext.jsx";
 
   // Flow map:
-  // 1) Upload CSVs -> createSession() -> receive sessionId + meta.
+  // 1) Upload files (CSV, TSV, XLSX, JSON) -> createSession() -> receive sessionId + meta.
   // 2) Choose strategy -> build payload (auto/custom rules).
   // 3) runReconcile() -> render KPIs/chart/table + detail drawer.
   // Stepper labels for the 3-stage flow.
@@ -51,15 +53,43 @@
   }
 
 
-  // Upload card for a single CSV (A or B).
-  function FileCard({ title, file, onPick, meta }) {
+  // Rows the upload had to fix or skip, collapsed to the first few.
+  function ParseWarnings({ warnings, total }) {
+    const [open, setOpen] = useState(false);
+    const shown = open ? warnings : warnings.slice(0, 3);
+    const count = total ?? warnings.length;
+    return (
+      <Alert severity="warning" sx={{ background: "rgba(255,176,32,0.08)", border: "1px solid rgba(255,176,32,0.25)" }}>
+        <Typography variant="body2" sx={{ fontWeight: 700, mb: 0.5 }}>
+          {count} parse warning{count === 1 ? "" : "s"}
+        </Typography>
+        {shown.map((w, i) => (
+          <Typography key={i} variant="caption" component="div">
+            {w.row ? `Row ${w.row}: ` : ""}{w.problem}
+          </Typography>
+        ))}
+        {warnings.length > 3 && (
+          <Button size="small" variant="text" onClick={() => setOpen(o => !o)} sx={{ mt: 0.5, p: 0, minWidth: 0 }}>
+            {open ? "Show less" : `Show all${count > warnings.length ? ` (first ${warnings.length})` : ""}`}
+          </Button>
+        )}
+      </Alert>
+    );
+  }
+
+  // File types /api/sessions can read.
+  const ACCEPTED_FILES = ".csv,.tsv,.txt,.xlsx,.xlsm,.json,.ndjson,.jsonl,text/csv,text/tab-separated-values,application/json";
+
+  // Upload card for a single dataset file (A or B). Workbooks with several sheets get a
+  // picker that re-reads the upload with the chosen sheet.
+  function FileCard({ title, file, onPick, meta, onSheet }) {
     return (
       <Glass sx={{ height: "100%" }}>
         <Stack spacing={1.2}>
           <Stack direction="row" justifyContent="space-between" alignItems="center">
             <Typography variant="h6">{title}</Typography>
-            <Chip size="small" label={file ? "let's Go" : "Upload CSV"} color={file ? "success" : "default"} />
-            <Chip size="small" label={file ? "ready" : "Upload CSV"} color={file ? "success" : "default"} />
+            <Chip size="small" label={file ? "let's Go" : "Upload file"} color={file ? "success" : "default"} />
+            <Chip size="small" label={file ? "ready" : "Upload file"} color={file ? "success" : "default"} />
           </Stack>
 
           <Button
@@ -68,8 +98,8 @@
             component="label"
             sx={{ py: 1.2 }}
           >
-            {file ? "Replace File" : "Choose CSV"}
-            <input type="file" accept=".csv,text/csv" hidden onChange={(e) => {
+            {file ? "Replace File" : "Choose File"}
+            <input type="file" accept={ACCEPTED_FILES} hidden onChange={(e) => {
               const f = e.target.files?.[0];
               if (f) onPick(f);
             }} />
@@ -81,10 +111,17 @@
             </Typography>
           )}
 
+          {meta?.file?.sheets?.length > 1 && (
+            <TextField select size="small" label="Sheet" value={meta.file.sheet} onChange={(e) => onSheet(e.target.value)}>
+              {meta.file.sheets.map(name => <MenuItem key={name} value={name}>{name}</MenuItem>)}
+            </TextField>
+          )}
+
           {meta && (
             <>
               <Divider sx={{ opacity: 0.25 }} />
               <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+                {meta.file?.format && <Chip size="small" label={meta.file.format.toUpperCase()} />}
                 <Chip size="small" label={`${meta.rowCount} rows`} />
                 {meta.detected?.id && <Chip size="small" label={`ID: ${meta.detected.id}`} />}
                 {meta.detected?.amount && meta.amountSum !== null && (
@@ -94,7 +131,20 @@
                   <Chip size="small" label={`${meta.dateRange.min} → ${meta.dateRange.max}`} />
                 )}
                 {meta.duplicates ? <Chip size="small" color="warning" label={`${meta.duplicates} duplicate IDs`} /> : null}
+                {meta.dateFormat?.ambiguous && (
+                  <Chip size="small" color="warning" label="Ambiguous date format" />
+                )}
+                {meta.dateFormat?.invalid ? (
+                  <Chip size="small" color="warning" label={`${meta.dateFormat.invalid} unreadable dates`} />
+                ) : null}
+                {meta.unparseable?.amount ? (
+                  <Chip size="small" color="warning" label={`${meta.unparseable.amount} unreadable amounts`} />
+                ) : null}
+                {meta.file?.encoding && meta.file.encoding !== "utf-8" && (
+                  <Chip size="small" label={meta.file.encoding} />
+                )}
               </Stack>
+              {meta.warnings?.length > 0 && <ParseWarnings warnings={meta.warnings} total={meta.file?.warningCount} />}
             </>
           )}
         </Stack>
@@ -102,6 +152,398 @@
     );
   }
 
+  // Standard mapping slots; extra compared fields are added below them.
+  const mappingSlots = [
+    { key: "id", label: "Transaction ID" },
+    { key: "amount", label: "Amount" },
+    { key: "date", label: "Date" },
+    { key: "description", label: "Description" },
+    { key: "currency", label: "Currency" },
+  ];
+
+  // Field comparators offered per mapped pair; `param` is the rule option the value feeds.
+  const comparatorOptions = [
+    { value: "none", label: "Not compared" },
+    { value: "exact", label: "Exact" },
+    { value: "caseInsensitive", label: "Case-insensitive" },
+    { value: "numeric", label: "Numeric ±", param: "tolerance", hint: "± amount" },
+    { value: "percent", label: "Percentage ±", param: "tolerance", hint: "± %" },
+    { value: "dateWindow", label: "Date window", param: "tolerance", hint: "± days" },
+    { value: "similarity", label: "Text similarity", param: "threshold", hint: "min 0–1" },
+  ];
+
+  // Suggest an initial column mapping from what the backend detected.
+  function suggestMapping(meta) {
+    const named = (side, name) => meta?.[side]?.fields?.find(f => f.toLowerCase() === name) || "";
+    return {
+      id: { a: meta?.a?.detected?.id || "", b: meta?.b?.detected?.id || "" },
+      amount: { a: meta?.a?.detected?.amount || "", b: meta?.b?.detected?.amount || "", compare: { type: "numeric", value: "" } },
+      date: { a: meta?.a?.detected?.date || "", b: meta?.b?.detected?.date || "", compare: { type: "dateWindow", value: "" } },
+      description: { a: named("a", "description"), b: named("b", "description"), compare: { type: "none", value: "" } },
+      currency: { a: named("a", "currency") || named("a", "ccy"), b: named("b", "currency") || named("b", "ccy") },
+      extra: [],
+    };
+  }
+
+  // Back from a template's mapping and rules.comparisons to the per-field comparator picks.
+  function templateMapping(t) {
+    const comparisons = Array.isArray(t.rules?.comparisons) ? t.rules.comparisons : [];
+    const compareOf = (c) => c
+      ? { type: c.type, value: String(c.tolerance ?? c.threshold ?? "") }
+      : { type: "none", value: "" };
+    const mapping = { extra: [] };
+    for (const { key } of mappingSlots) {
+      const pair = { a: t.mapping?.[key]?.a || "", b: t.mapping?.[key]?.b || "" };
+      mapping[key] = key === "id" || key === "currency" ? pair : { ...pair, compare: compareOf(comparisons.find(c => c.field === key)) };
+    }
+    mapping.extra = (t.mapping?.extra || []).map(m => ({
+      a: m.a || "",
+      b: m.b || "",
+      compare: compareOf(comparisons.find(c => !c.field && c.a === m.a && c.b === m.b)),
+    }));
+    return mapping;
+  }
+
+  // Turn the per-field comparator picks into rules.comparisons for the backend.
+  // A blank value lets the backend use its default (the tolerance settings, or 0.8 similarity).
+  function buildComparisons(mapping) {
+    const withParam = (entry, compare) => {
+      const param = comparatorOptions.find(o => o.value === compare.type)?.param;
+      return param && compare.value !== "" ? { ...entry, [param]: Number(compare.value) } : entry;
+    };
+    const comparisons = [];
+    for (const key of ["amount", "date", "description"]) {
+      const m = mapping[key];
+      if (!m?.a || !m?.b || !m.compare || m.compare.type === "none") continue;
+      comparisons.push(withParam({ field: key, type: m.compare.type }, m.compare));
+    }
+    for (const m of mapping.extra) {
+      if (!m.a || !m.b || !m.compare || m.compare.type === "none") continue;
+      comparisons.push(withParam({ a: m.a, b: m.b, type: m.compare.type }, m.compare));
+    }
+    return comparisons;
+  }
+
+  // Dropdown of one dataset's columns ("" = not mapped).
+  function ColumnSelect({ label, fields, value, onChange }) {
+    return (
+      <TextField select size="small" fullWidth label={label} value={value || ""} onChange={(e) => onChange(e.target.value)}>
+        <MenuItem value=""><em>Not mapped</em></MenuItem>
+        {fields.map(f => <MenuItem key={f} value={f}>{f}</MenuItem>)}
+      </TextField>
+    );
+  }
+
+  // Comparator picker (+ its tolerance/threshold) for one mapped pair.
+  function CompareSelect({ compare, onChange }) {
+    const option = comparatorOptions.find(o => o.value === compare.type);
+    return (
+      <>
+        <TextField select size="small" fullWidth label="Compare" value={compare.type} onChange={(e) => onChange({ type: e.target.value, value: "" })}>
+          {comparatorOptions.map(o => <MenuItem key={o.value} value={o.value}>{o.label}</MenuItem>)}
+        </TextField>
+        {option?.param ? (
+          <TextField size="small" type="number" label={option.hint} value={compare.value} onChange={(e) => onChange({ ...compare, value: e.target.value })} inputProps={{ min: 0 }} />
+        ) : <span />}
+      </>
+    );
+  }
+
+  // Saved templates: apply one to the settings below, or save the current settings under a
+  // name (an existing name is overwritten). `suggestion` is a template saved from similar files.
+  function TemplateCard({ templates, suggestion, onApply, onSave, onDelete, onDismiss }) {
+    const [selected, setSelected] = useState("");
+    const [name, setName] = useState("");
+    const overwrites = templates.some(t => t.name === name.trim());
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.5}>
+          <Typography variant="h6">Templates</Typography>
+          {suggestion && (
+            <Alert
+              severity="info"
+              sx={{ background: "rgba(124,92,255,0.10)", border: "1px solid rgba(124,92,255,0.25)" }}
+              onClose={onDismiss}
+              action={<Button size="small" onClick={() => onApply(suggestion.id)}>Apply</Button>}
+            >
+              These files look like the ones "{suggestion.name}" was saved from ({Math.round(suggestion.score * 100)}% of the headers match).
+            </Alert>
+          )}
+          <Stack direction={{ xs: "column", sm: "row" }} spacing={1} alignItems={{ sm: "center" }}>
+            <TextField select size="small" label="Saved template" value={selected} onChange={(e) => setSelected(e.target.value)} sx={{ minWidth: 260 }}>
+              {templates.length === 0 && <MenuItem value="" disabled><em>No templates yet</em></MenuItem>}
+              {templates.map(t => (
+                <MenuItem key={t.id} value={t.id}>{t.name} • {t.mode} • {new Date(t.updatedAt).toLocaleDateString()}</MenuItem>
+              ))}
+            </TextField>
+            <Button size="small" variant="outlined" disabled={!selected} onClick={() => onApply(selected)}>Apply</Button>
+            <IconButton size="small" disabled={!selected} onClick={() => { onDelete(selected); setSelected(""); }}>
+              <DeleteOutlineIcon fontSize="small" />
+            </IconButton>
+          </Stack>
+          <Stack direction={{ xs: "column", sm: "row" }} spacing={1} alignItems={{ sm: "center" }}>
+            <TextField size="small" label="Save current settings as" value={name} onChange={(e) => setName(e.target.value)} sx={{ minWidth: 260 }} />
+            <Button size="small" variant="outlined" disabled={!name.trim()} onClick={() => { onSave(name.trim()); setName(""); }}>
+              {overwrites ? "Update" : "Save"}
+            </Button>
+          </Stack>
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Converting amounts to a base currency before matching: the rate table, the base and a
+  // default currency per side for files without a currency column (or blank cells).
+  function FxCard({ fx, onChange, mapping, rates, onUpload, onRemove }) {
+    const [busy, setBusy] = useState(false);
+    const rowSx = { display: "grid", gridTemplateColumns: { xs: "1fr", sm: "140px 1fr 1fr" }, gap: 1, alignItems: "start" };
+    const code = (v) => v.toUpperCase().replace(/[^A-Z]/g, "").slice(0, 3);
+
+    const pick = async (file) => {
+      if (!file) return;
+      setBusy(true);
+      try {
+        await onUpload(file);
+      } finally {
+        setBusy(false);
+      }
+    };
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.5}>
+          <Typography variant="h6">Currencies</Typography>
+          <Typography variant="body2" color="text.secondary">
+            For files in different currencies: upload a rate table (date, pair like EUR/USD, rate) and
+            pick a base currency. Amounts are converted with the latest rate on or before each row's date.
+          </Typography>
+          <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: "wrap", gap: 1 }}>
+            <Button component="label" size="small" variant="outlined" startIcon={<UploadFileIcon />} disabled={busy}>
+              {rates ? "Replace rates" : "Upload rates"}
+              <input hidden type="file" accept=".csv,.tsv,.txt,.xlsx,.json" onChange={(e) => { pick(e.target.files?.[0]); e.target.value = ""; }} />
+            </Button>
+            {rates && (
+              <>
+                <Chip
+                  size="small"
+                  label={`${rates.file?.name}: ${rates.count} rates • ${rates.pairs.join(", ")}${rates.from ? ` • ${rates.from} to ${rates.to}` : ""}`}
+                />
+                {rates.warnings?.length > 0 && <Chip size="small" color="warning" variant="outlined" label={`${rates.warnings.length} rows skipped`} />}
+                <IconButton size="small" onClick={onRemove}><DeleteOutlineIcon fontSize="small" /></IconButton>
+              </>
+            )}
+          </Stack>
+          <Box sx={rowSx}>
+            <Typography variant="body2" sx={{ pt: 1 }}>Base currency</Typography>
+            <TextField
+              size="small"
+              label="e.g. USD"
+              value={fx.baseCurrency}
+              onChange={(e) => onChange({ ...fx, baseCurrency: code(e.target.value) })}
+              helperText={fx.baseCurrency ? "Amounts are compared in this currency" : "Blank: no conversion"}
+            />
+            <span />
+          </Box>
+          <Box sx={rowSx}>
+            <Typography variant="body2" sx={{ pt: 1 }}>Default currency</Typography>
+            {["a", "b"].map(side => (
+              <TextField
+                key={side}
+                size="small"
+                label={`Dataset ${side.toUpperCase()}`}
+                value={fx.currency[side]}
+                onChange={(e) => onChange({ ...fx, currency: { ...fx.currency, [side]: code(e.target.value) } })}
+                helperText={mapping?.currency?.[side] ? `Blank cells of "${mapping.currency[side]}"` : "No currency column mapped"}
+              />
+            ))}
+          </Box>
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Virtual column the backend derives from separate debit/credit columns.
+  const SIGNED_AMOUNT_FIELD = "signed_amount";
+  const hasDebitCredit = (options) => !!(options?.debitColumn || options?.creditColumn);
+
+  // A dataset's columns as they'll be when reconciling (incl. the derived signed amount).
+  function columnsFor(meta, parseOptions, side) {
+    const fields = meta?.[side]?.fields || [];
+    return hasDebitCredit(parseOptions?.[side]) && !fields.includes(SIGNED_AMOUNT_FIELD)
+      ? [...fields, SIGNED_AMOUNT_FIELD]
+      : fields;
+  }
+
+  // Column mapping between Dataset A and Dataset B, edited before reconciling.
+  function MappingCard({ meta, parseOptions, mapping, onChange }) {
+    const fieldsA = columnsFor(meta, parseOptions, "a");
+    const fieldsB = columnsFor(meta, parseOptions, "b");
+    const rowSx = { display: "grid", gridTemplateColumns: { xs: "1fr", sm: "140px 1fr 1fr 170px 110px 40px" }, gap: 1, alignItems: "center" };
+
+    const setSlot = (key, side, value) =>
+      onChange({ ...mapping, [key]: { ...mapping[key], [side]: value } });
+    const setExtra = (i, side, value) =>
+      onChange({ ...mapping, extra: mapping.extra.map((m, j) => (j === i ? { ...m, [side]: value } : m)) });
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.5}>
+          <Typography variant="h6">Column Mapping</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Pick the column holding each field in both files and how matched pairs are compared.
+            Blank tolerances use the tolerance settings.
+          </Typography>
+
+          {mappingSlots.map(slot => (
+            <Box key={slot.key} sx={rowSx}>
+              <Typography variant="body2">{slot.label}</Typography>
+              <ColumnSelect label="Dataset A" fields={fieldsA} value={mapping[slot.key]?.a} onChange={(v) => setSlot(slot.key, "a", v)} />
+              <ColumnSelect label="Dataset B" fields={fieldsB} value={mapping[slot.key]?.b} onChange={(v) => setSlot(slot.key, "b", v)} />
+              {mapping[slot.key]?.compare
+                ? <CompareSelect compare={mapping[slot.key].compare} onChange={(c) => setSlot(slot.key, "compare", c)} />
+                : <><span /><span /></>}
+              <span />
+            </Box>
+          ))}
+
+          {mapping.extra.map((m, i) => (
+            <Box key={i} sx={rowSx}>
+              <Typography variant="body2">Extra field {i + 1}</Typography>
+              <ColumnSelect label="Dataset A" fields={fieldsA} value={m.a} onChange={(v) => setExtra(i, "a", v)} />
+              <ColumnSelect label="Dataset B" fields={fieldsB} value={m.b} onChange={(v) => setExtra(i, "b", v)} />
+              <CompareSelect compare={m.compare} onChange={(c) => setExtra(i, "compare", c)} />
+              <IconButton onClick={() => onChange({ ...mapping, extra: mapping.extra.filter((_, j) => j !== i) })}>
+                <DeleteOutlineIcon />
+              </IconButton>
+            </Box>
+          ))}
+
+          <Box>
+            <Button
+              variant="text"
+              startIcon={<AddIcon />}
+              onClick={() => onChange({ ...mapping, extra: [...mapping.extra, { a: "", b: "", compare: { type: "caseInsensitive", value: "" } }] })}
+            >
+              Add compared field
+            </Button>
+          </Box>
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Date formats the backend understands ("auto" detects one from every value in the column).
+  const dateFormatLabels = {
+    auto: "Auto-detect",
+    YMD: "YYYY-MM-DD",
+    DMY: "DD/MM/YYYY",
+    MDY: "MM/DD/YYYY",
+  };
+
+  // Amount notations; "auto" picks the decimal separator from the column's values.
+  const decimalSeparatorLabels = { auto: "Auto-detect", ".": "Dot (1,234.56)", ",": "Comma (1.234,56)" };
+  const thousandsSeparatorLabels = { auto: "Auto", ",": "Comma", ".": "Dot", " ": "Space", "'": "Apostrophe", none: "None" };
+  const negativeMarkerLabels = { DR: "DR is negative", CR: "CR is negative" };
+
+  // Per-dataset parsing options (date and amount formats, debit/credit columns),
+  // shown with what was detected on upload.
+  function ParseOptionsCard({ meta, parseOptions, onChange }) {
+    const setSide = (side, key, value) =>
+      onChange({ ...parseOptions, [side]: { ...parseOptions[side], [key]: value } });
+    const rowSx = { display: "grid", gridTemplateColumns: { xs: "1fr", sm: "140px 1fr 1fr" }, gap: 1, alignItems: "start" };
+
+    const amountHint = (side) => {
+      const info = meta?.[side]?.amountFormat;
+      if (!info) return "No amount column detected";
+      const unreadable = meta[side].unparseable?.amount ? ` • ${meta[side].unparseable.amount} unreadable` : "";
+      return `${info.source === "configured" ? "Using" : "Detected"} ${decimalSeparatorLabels[info.decimalSeparator]}${unreadable}`;
+    };
+
+    // One labelled row with a select per dataset.
+    const optionRow = (label, key, labels, helper) => (
+      <Box sx={rowSx}>
+        <Typography variant="body2" sx={{ pt: 1 }}>{label}</Typography>
+        {["a", "b"].map(side => (
+          <TextField
+            key={side}
+            select
+            size="small"
+            fullWidth
+            label={`Dataset ${side.toUpperCase()}`}
+            value={parseOptions[side][key] ?? Object.keys(labels)[0]}
+            onChange={(e) => setSide(side, key, e.target.value)}
+            helperText={helper?.(side)}
+          >
+            {Object.entries(labels).map(([value, text]) => (
+              <MenuItem key={value} value={value}>{text}</MenuItem>
+            ))}
+          </TextField>
+        ))}
+      </Box>
+    );
+
+    // Debit/credit pickers list the file's own columns, not the derived one.
+    const columnRow = (label, key) => (
+      <Box sx={rowSx}>
+        <Typography variant="body2" sx={{ pt: 1 }}>{label}</Typography>
+        {["a", "b"].map(side => (
+          <ColumnSelect
+            key={side}
+            label={`Dataset ${side.toUpperCase()}`}
+            fields={(meta?.[side]?.fields || []).filter(f => f !== SIGNED_AMOUNT_FIELD)}
+            value={parseOptions[side][key]}
+            onChange={(v) => setSide(side, key, v)}
+          />
+        ))}
+      </Box>
+    );
+
+    const hint = (side) => {
+      const info = meta?.[side]?.dateFormat;
+      if (!info) return "No date column detected";
+      if (info.ambiguous) return `Ambiguous (${info.candidates.map(c => dateFormatLabels[c]).join(" or ")}) — pick one`;
+      const invalid = info.invalid ? ` • ${info.invalid} unreadable` : "";
+      return `${info.source === "configured" ? "Using" : "Detected"} ${dateFormatLabels[info.format]}${invalid}`;
+    };
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.5}>
+          <Typography variant="h6">File Parsing</Typography>
+          <Box sx={rowSx}>
+            <Typography variant="body2" sx={{ pt: 1 }}>Date format</Typography>
+            {["a", "b"].map(side => (
+              <TextField
+                key={side}
+                select
+                size="small"
+                fullWidth
+                label={`Dataset ${side.toUpperCase()}`}
+                value={parseOptions[side].dateFormat}
+                onChange={(e) => setSide(side, "dateFormat", e.target.value)}
+                helperText={hint(side)}
+                error={!!meta?.[side]?.dateFormat?.ambiguous && parseOptions[side].dateFormat === "auto"}
+              >
+                {Object.entries(dateFormatLabels).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+            ))}
+          </Box>
+          {optionRow("Decimal separator", "decimalSeparator", decimalSeparatorLabels, amountHint)}
+          {optionRow("Thousands separator", "thousandsSeparator", thousandsSeparatorLabels)}
+          {optionRow("DR / CR markers", "negativeMarker", negativeMarkerLabels)}
+          <Typography variant="body2" color="text.secondary">
+            Files with separate debit and credit columns get a combined "{SIGNED_AMOUNT_FIELD}" column (credit − debit) to map as the amount.
+          </Typography>
+          {columnRow("Debit column", "debitColumn")}
+          {columnRow("Credit column", "creditColumn")}
+        </Stack>
+      </Glass>
+    );
+  }
+
   // Clickable card used to pick a matching strategy.
   function StrategyCard({ title, description, selected, onClick, icon }) {
     const [hovered, setHovered] = React.useState(false);
@@ -165,12 +607,18 @@
     switch (status.toUpperCase()) {
       case "MATCHED":
         return "Matched";
+      case "MATCHED_GROUP":
+        return "Matched (group)";
       case "MISMATCH":
         return "Mismatch";
       case "MISSING_IN_A":
         return "Missing in A";
       case "MISSING_IN_B":
         return "Missing in B";
+      case "DUPLICATE_IN_A":
+        return "Duplicate in A";
+      case "DUPLICATE_IN_B":
+        return "Duplicate in B";
       default:
         return status;
     }
@@ -196,6 +644,12 @@
             border: "1px solid rgba(46, 229, 157, 0.45)",
           }),
 
+          ...(label === "Matched (group)" && {
+            backgroundColor: "rgba(46, 229, 157, 0.08)",
+            color: "#2ee59d",
+            border: "1px dashed rgba(46, 229, 157, 0.6)",
+          }),
+
           ...(label === "Mismatch" && {
             backgroundColor: "rgba(255, 76, 76, 0.12)",
             color: "#ff4c4c",
@@ -214,6 +668,12 @@
             color: "#ffc107",
             border: "1px solid rgba(255, 193, 7, 0.45)",
           }),
+
+          ...((label === "Duplicate in A" || label === "Duplicate in B") && {
+            backgroundColor: "rgba(255, 159, 67, 0.15)",
+            color: "#ff9f43",
+            border: "1px solid rgba(255, 159, 67, 0.5)",
+          }),
         }}
       />
     );
@@ -221,11 +681,36 @@
 
 
 
+  // Short note for a structured diff: the gap found and the rule it was checked against.
+  function describeDiff(d) {
+    if (d.missing) return "missing value";
+    const { type, tolerance, threshold } = d.rule || {};
+    switch (type) {
+      case "numeric":
+        return `Δ ${+Number(d.delta).toFixed(6)} (±${tolerance})`;
+      case "percent":
+        return `Δ ${Number(d.delta).toFixed(2)}% (±${tolerance}%)`;
+      case "dateWindow":
+        return `Δ ${d.delta} day(s) (±${tolerance})`;
+      case "similarity":
+        return `${Math.round(d.delta * 100)}% similar (min ${Math.round(threshold * 100)}%)`;
+      default:
+        return d.passed ? "" : "differs";
+    }
+  }
+
   // Small helper row to compare A/B values in the detail drawer.
-  function DiffRow({ label, a, b, highlight }) {
+  function DiffRow({ label, a, b, highlight, note }) {
     return (
       <Box sx={{ display: "grid", gridTemplateColumns: "140px 1fr 1fr", gap: 1, alignItems: "center" }}>
-        <Typography variant="caption" sx={{ opacity: 0.8 }}>{label}</Typography>
+        <Box>
+          <Typography variant="caption" component="div" sx={{ opacity: 0.8 }}>{label}</Typography>
+          {note && (
+            <Typography variant="caption" component="div" sx={{ opacity: 0.6, color: highlight ? "error.main" : "inherit" }}>
+              {note}
+            </Typography>
+          )}
+        </Box>
         <Paper elevation={0} sx={{ p: 1, background: highlight ? "rgba(255,92,122,0.16)" : "rgba(255,255,255,0.06)" }}>
           <Typography variant="body2">{a ?? "—"}</Typography>
         </Paper>
@@ -236,9 +721,471 @@
     );
   }
 
-  // Mock auth screen for login/signup (no backend).
+  // Amounts as shown in KPI cards (2 decimals, locale grouping); "—" when unknown.
+  const formatMoney = (n) => n === null || n === undefined
+    ? "—"
+    : n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  // A converted amount with where it came from: "100.00 USD (92.00 EUR × 1.0869565, rate of 2025-01-02)".
+  function formatConverted(value, fx) {
+    if (!fx) return value === "" ? null : value;
+    const converted = `${formatMoney(value)} ${fx.base}`;
+    if (fx.currency === fx.base) return converted;
+    return `${converted} (${formatMoney(fx.amount)} ${fx.currency} × ${fx.rate}${fx.rateDate ? `, rate of ${fx.rateDate}` : ""})`;
+  }
+
+  // Short run label for pickers and the history list.
+  const runLabel = (run, i) => `#${i + 1} • ${new Date(run.createdAt).toLocaleString()} • ${run.mode}`;
+
+  // Earlier reconciliation runs of this session: open or export any of them, or pick two
+  // to see which records changed status.
+  function RunHistoryCard({ sessionId, currentRunId, onOpen, onCompare, onError }) {
+    const [runs, setRuns] = useState([]);
+    const [pair, setPair] = useState({ from: "", to: "" });
+
+    useEffect(() => {
+      listRuns(sessionId).then(data => {
+        setRuns(data.runs);
+        const n = data.runs.length;
+        if (n > 1) setPair({ from: data.runs[n - 2].id, to: data.runs[n - 1].id });
+      }).catch(() => setRuns([]));
+    }, [sessionId, currentRunId]);
+
+    if (runs.length === 0) return null;
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.2}>
+          <Typography variant="h6">Run History</Typography>
+          {runs.map((run, i) => (
+            <Stack key={run.id} direction={{ xs: "column", sm: "row" }} spacing={1} alignItems={{ sm: "center" }} justifyContent="space-between">
+              <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+                <Typography variant="body2" sx={{ fontWeight: run.id === currentRunId ? 700 : 400 }}>{runLabel(run, i)}</Typography>
+                <Chip size="small" label={`${run.summary.MATCHED + (run.summary.MATCHED_GROUP || 0)} matched`} />
+                <Chip size="small" label={`${run.summary.MISMATCH} mismatched`} />
+                <Chip size="small" label={`${run.summary.MISSING_IN_A + run.summary.MISSING_IN_B} missing`} />
+                {run.id === currentRunId && <Chip size="small" color="primary" label="showing" />}
+              </Stack>
+              <Stack direction="row" spacing={1}>
+                <Button size="small" disabled={run.id === currentRunId} onClick={() => onOpen(run.id)}>Open</Button>
+                <Button size="small" onClick={() => openDownload(exportUrl(sessionId, { runId: run.id })).catch(onError)} startIcon={<DownloadIcon />}>
+                  Export
+                </Button>
+              </Stack>
+            </Stack>
+          ))}
+
+          {runs.length > 1 && (
+            <>
+              <Divider sx={{ opacity: 0.25 }} />
+              <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr auto" }, gap: 1, alignItems: "center" }}>
+                {["from", "to"].map(end => (
+                  <TextField
+                    key={end}
+                    select
+                    size="small"
+                    label={end === "from" ? "Compare run" : "With run"}
+                    value={pair[end]}
+                    onChange={(e) => setPair(p => ({ ...p, [end]: e.target.value }))}
+                  >
+                    {runs.map((run, i) => <MenuItem key={run.id} value={run.id}>{runLabel(run, i)}</MenuItem>)}
+                  </TextField>
+                ))}
+                <Button variant="outlined" disabled={!pair.from || !pair.to || pair.from === pair.to} onClick={() => onCompare(pair.from, pair.to)}>
+                  Compare
+                </Button>
+              </Box>
+            </>
+          )}
+        </Stack>
+      </Glass>
+    );
+  }
+
+  const auditActions = {
+    UPLOAD: { label: "Upload", color: "info" },
+    RECONCILE: { label: "Run", color: "primary" },
+    OVERRIDE: { label: "Override", color: "warning" },
+    EXCEPTION: { label: "Exception", color: "secondary" },
+    EXPORT: { label: "Export", color: "success" },
+    DELETE_SESSION: { label: "Deleted", color: "error" },
+  };
+
+  // Who did what in this session, newest first; `refreshKey` reloads it after changes.
+  function AuditTrailCard({ sessionId, refreshKey, onError }) {
+    const [entries, setEntries] = useState([]);
+    const [action, setAction] = useState("");
+
+    useEffect(() => {
+      listAudit({ sessionId, ...(action && { action }) })
+        .then(list => setEntries(list.reverse()))
+        .catch(() => setEntries([]));
+    }, [sessionId, refreshKey, action]);
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.2}>
+          <Stack direction="row" spacing={1} alignItems="center" justifyContent="space-between">
+            <Typography variant="h6">Audit Trail</Typography>
+            <Stack direction="row" spacing={1} alignItems="center">
+              <TextField select size="small" label="Action" value={action} onChange={(e) => setAction(e.target.value)} sx={{ minWidth: 140 }}>
+                <MenuItem value="">All</MenuItem>
+                {Object.entries(auditActions).map(([key, a]) => <MenuItem key={key} value={key}>{a.label}</MenuItem>)}
+              </TextField>
+              <Button
+                size="small"
+                onClick={() => openDownload(auditExportUrl({ sessionId, ...(action && { action }) })).catch(onError)}
+                startIcon={<DownloadIcon />}
+              >
+                CSV
+              </Button>
+            </Stack>
+          </Stack>
+          <Box sx={{ maxHeight: 320, overflowY: "auto", pl: 1.5, borderLeft: "2px solid rgba(124,92,255,0.35)" }}>
+            {entries.length === 0 && <Typography variant="body2" color="text.secondary">Nothing recorded yet.</Typography>}
+            {entries.map(e => (
+              <Box key={e.id} sx={{ py: 0.75 }}>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Chip size="small" color={auditActions[e.action]?.color} label={auditActions[e.action]?.label || e.action} />
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(e.at).toLocaleString()} • {e.user || "Someone"}{e.runId ? ` • run ${e.runId}` : ""}
+                  </Typography>
+                </Stack>
+                <Typography variant="body2" sx={{ mt: 0.3 }}>{e.text}</Typography>
+                {e.action === "UPLOAD" && ["a", "b"].map(side => (
+                  <Typography key={side} variant="caption" component="div" color="text.secondary" sx={{ fontFamily: "monospace", wordBreak: "break-all" }}>
+                    {side.toUpperCase()}: sha256 {e.details.files[side].sha256}
+                  </Typography>
+                ))}
+              </Box>
+            ))}
+          </Box>
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Statuses whose rows can be force-matched with rows from the other dataset.
+  const UNPAIRED_A = ["MISSING_IN_B", "DUPLICATE_IN_A"];
+  const UNPAIRED_B = ["MISSING_IN_A", "DUPLICATE_IN_B"];
+  const PAIRED = ["MATCHED", "MATCHED_GROUP", "MISMATCH"];
+
+  // What a reconciliation job is doing, by phase.
+  const JOB_PHASES = {
+    loading: "Loading rows",
+    indexing: "Indexing",
+    matching: "Matching",
+    summarizing: "Summarizing",
+    saving: "Saving the run",
+  };
+
+  // Results table columns the server sorts under another name.
+  const RESULT_SORTS = { aRow: "a", bRow: "b" };
+
+  // Exception case states and where each can move next (mirrors the backend).
+  const exceptionStates = {
+    OPEN: { label: "Open", color: "warning", next: ["INVESTIGATING"] },
+    INVESTIGATING: { label: "Investigating", color: "info", next: ["OPEN", "RESOLVED", "WRITTEN_OFF"] },
+    RESOLVED: { label: "Resolved", color: "success", next: ["OPEN"] },
+    WRITTEN_OFF: { label: "Written-off", color: "default", next: ["OPEN"] },
+  };
+
+  function ExceptionChip({ exception }) {
+    if (!exception) return null;
+    const state = exceptionStates[exception.state];
+    return <Chip size="small" variant="outlined" color={state?.color} label={state?.label || exception.state} />;
+  }
+
+  // Case details of one exception: state, assignee, comments and history, editable.
+  // Changes are recorded under the signed-in user.
+  function ExceptionPanel({ exception, onSave }) {
+    const [state, setState] = useState(exception.state);
+    const [assignee, setAssignee] = useState(exception.assignee || "");
+    const [comment, setComment] = useState("");
+
+    useEffect(() => {
+      setState(exception.state);
+      setAssignee(exception.assignee || "");
+      setComment("");
+    }, [exception]);
+
+    const dirty = state !== exception.state || assignee !== (exception.assignee || "") || comment.trim() !== "";
+    const save = () => {
+      onSave({
+        ...(state !== exception.state && { state }),
+        ...(assignee !== (exception.assignee || "") && { assignee: assignee || null }),
+        ...(comment.trim() && { comment: comment.trim() }),
+      });
+    };
+
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Stack spacing={1.2}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center">
+            <Typography variant="subtitle2" sx={{ opacity: 0.8 }}>Exception</Typography>
+            <ExceptionChip exception={exception} />
+          </Stack>
+          <Box sx={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 1 }}>
+            <TextField select size="small" label="State" value={state} onChange={(e) => setState(e.target.value)}>
+              {[exception.state, ...exceptionStates[exception.state].next].map(s => (
+                <MenuItem key={s} value={s}>{exceptionStates[s].label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField size="small" label="Assignee" value={assignee} onChange={(e) => setAssignee(e.target.value)} />
+          </Box>
+          <TextField size="small" multiline minRows={2} label="Add comment" value={comment} onChange={(e) => setComment(e.target.value)} />
+          <Stack direction="row" justifyContent="flex-end">
+            <Button variant="contained" disabled={!dirty} onClick={save}>Save</Button>
+          </Stack>
+
+          {exception.comments.map((c, i) => (
+            <Paper key={i} elevation={0} sx={{ p: 1, background: "rgba(255,255,255,0.06)" }}>
+              <Typography variant="caption" color="text.secondary">
+                {c.author || "Someone"} • {new Date(c.at).toLocaleString()}
+              </Typography>
+              <Typography variant="body2">{c.text}</Typography>
+            </Paper>
+          ))}
+          {exception.history.length > 0 && (
+            <Box>
+              {exception.history.map((h, i) => (
+                <Typography key={i} variant="caption" component="div" color="text.secondary">
+                  {new Date(h.at).toLocaleString()} • {h.by || "Someone"}{" "}
+                  {h.to
+                    ? `moved ${exceptionStates[h.from]?.label} → ${exceptionStates[h.to]?.label}${h.note ? ` (${h.note})` : ""}`
+                    : h.assignee ? `assigned ${h.assignee}` : "cleared the assignee"}
+                </Typography>
+              ))}
+            </Box>
+          )}
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Asks for the note stored with a manual override.
+  function NoteDialog({ prompt, onCancel, onConfirm }) {
+    const [note, setNote] = useState("");
+    useEffect(() => setNote(""), [prompt]);
+    return (
+      <Dialog open={!!prompt} onClose={onCancel} maxWidth="sm" fullWidth PaperProps={{ sx: { background: "#0b1220" } }}>
+        <DialogTitle>{prompt?.title}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={1.5} sx={{ pt: 1 }}>
+            <TextField
+              autoFocus
+              multiline
+              minRows={2}
+              label={prompt?.required ? "Note (required)" : "Note (optional)"}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <Stack direction="row" spacing={1} justifyContent="flex-end">
+              <Button onClick={onCancel}>Cancel</Button>
+              <Button variant="contained" disabled={prompt?.required && !note.trim()} onClick={() => onConfirm(note.trim())}>
+                {prompt?.action}
+              </Button>
+            </Stack>
+          </Stack>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
+  const exportGroups = {
+    result: "Result",
+    a: "Dataset A",
+    b: "Dataset B",
+    diff: "Field differences",
+    manual: "Manual overrides",
+    case: "Exception case",
+  };
+
+  const exportFormats = {
+    csv: "CSV",
+    xlsx: "Excel workbook (summary + sheet per status)",
+    pdf: "PDF report (KPIs, chart, exceptions)",
+  };
+
+  // Pick the format and columns before downloading: the mapped columns by default, every
+  // source column of A and B on request. `target` is { filter, exception } or null when closed.
+  function ExportDialog({ sessionId, runId, target, onClose, onError }) {
+    const [columns, setColumns] = useState(null);
+    const [allSource, setAllSource] = useState(false);
+    const [chosen, setChosen] = useState([]);
+    const [format, setFormat] = useState("csv");
+
+    useEffect(() => {
+      if (!target) return;
+      getExportColumns(sessionId, runId)
+        .then(data => {
+          setColumns(data);
+          setChosen(data.mapped.map(c => c.name));
+        })
+        .catch(() => setColumns(null));
+    }, [target, sessionId, runId]);
+
+    const listed = columns ? (allSource ? columns.all : columns.mapped) : [];
+    const selected = listed.filter(c => chosen.includes(c.name)).map(c => c.name);
+    const toggle = (name) => setChosen(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+    const toggleAllSource = (on) => {
+      setAllSource(on);
+      if (on && columns) {
+        const extra = columns.all.filter(c => (c.group === "a" || c.group === "b") && !chosen.includes(c.name)).map(c => c.name);
+        setChosen(prev => [...prev, ...extra]);
+      }
+    };
+
+    return (
+      <Dialog open={!!target} onClose={onClose} maxWidth="md" fullWidth PaperProps={{ sx: { background: "#0b1220" } }}>
+        <DialogTitle>Export</DialogTitle>
+        <DialogContent>
+          <Stack spacing={1.5} sx={{ pt: 1 }}>
+            <TextField select size="small" label="Format" value={format} onChange={(e) => setFormat(e.target.value)}>
+              {Object.entries(exportFormats).map(([key, label]) => <MenuItem key={key} value={key}>{label}</MenuItem>)}
+            </TextField>
+            {format !== "pdf" && (
+              <FormControlLabel
+                control={<Switch checked={allSource} onChange={(e) => toggleAllSource(e.target.checked)} />}
+                label="Include every column of both files (a_ / b_ prefixed)"
+              />
+            )}
+            {format !== "pdf" && Object.entries(exportGroups).map(([group, label]) => {
+              const inGroup = listed.filter(c => c.group === group);
+              if (!inGroup.length) return null;
+              return (
+                <Box key={group}>
+                  <Typography variant="subtitle2" sx={{ opacity: 0.8 }}>{label}</Typography>
+                  <Box sx={{ display: "flex", flexWrap: "wrap", columnGap: 1 }}>
+                    {inGroup.map(c => (
+                      <FormControlLabel
+                        key={c.name}
+                        control={<Checkbox size="small" checked={chosen.includes(c.name)} onChange={() => toggle(c.name)} />}
+                        label={<Typography variant="body2">{c.name}</Typography>}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              );
+            })}
+            <Stack direction="row" spacing={1} justifyContent="flex-end">
+              <Button onClick={() => setChosen(columns ? columns.mapped.map(c => c.name) : [])}>Reset</Button>
+              <Button onClick={onClose}>Cancel</Button>
+              <Button
+                variant="contained"
+                startIcon={<DownloadIcon />}
+                disabled={format !== "pdf" && !selected.length}
+                onClick={() => {
+                  openDownload(exportUrl(sessionId, { ...target, runId, format, columns: format === "pdf" ? null : selected })).catch(onError);
+                  onClose();
+                }}
+              >
+                {format === "pdf" ? "Download report" : `Download ${selected.length} column${selected.length === 1 ? "" : "s"}`}
+              </Button>
+            </Stack>
+          </Stack>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
+  // Records whose status or pairing changed between two runs.
+  function RunDiffDialog({ diff, onClose }) {
+    return (
+      <Dialog open={!!diff} onClose={onClose} maxWidth="md" fullWidth PaperProps={{ sx: { background: "#0b1220" } }}>
+        <DialogTitle sx={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          Changes between runs
+          <IconButton onClick={onClose}><CloseIcon /></IconButton>
+        </DialogTitle>
+        {diff && (
+          <DialogContent>
+            <Stack spacing={1.5}>
+              <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+                {Object.entries(diff.transitions).map(([t, n]) => (
+                  <Chip key={t} size="small" label={`${t.split(" -> ").map(s => s.split(" + ").map(normalizeStatus).join(" + ")).join(" → ")}: ${n}`} />
+                ))}
+              </Stack>
+              {diff.changes.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No record changed status.</Typography>
+              ) : (
+                diff.changes.map((c, i) => (
+                  <Box key={i} sx={{ display: "grid", gridTemplateColumns: "1fr auto auto auto", gap: 1, alignItems: "center" }}>
+                    <Typography variant="body2" sx={{ wordBreak: "break-all" }}>{c.key || c.to.rows.join(", ")}</Typography>
+                    <Stack direction="row" spacing={0.5}>
+                      {c.from.length ? c.from.map((f, j) => <StatusChip key={j} status={f.status} />) : <Chip size="small" label="—" />}
+                    </Stack>
+                    <Typography variant="body2">→</Typography>
+                    <StatusChip status={c.to.status} />
+                  </Box>
+                ))
+              )}
+            </Stack>
+          </DialogContent>
+        )}
+      </Dialog>
+    );
+  }
+
+  // The signed-in user's stored sessions, to pick up an earlier reconciliation.
+  function SessionsCard({ sessions, currentId, onOpen, onDelete }) {
+    if (!sessions?.length) return null;
+    return (
+      <Glass sx={{ cursor: "default", userSelect: "auto" }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>Your sessions</Typography>
+        <Stack spacing={1}>
+          {sessions.map(s => (
+            <Stack key={s.id} direction={{ xs: "column", sm: "row" }} spacing={1} justifyContent="space-between" alignItems={{ xs: "flex-start", sm: "center" }}>
+              <Box>
+                <Typography variant="body2">
+                  {s.summary?.files?.a || "Dataset A"} ↔ {s.summary?.files?.b || "Dataset B"}
+                  {s.id === currentId && <Chip size="small" label="Current" sx={{ ml: 1 }} />}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {s.summary ? `${s.summary.rows.a} / ${s.summary.rows.b} rows • ` : ""}
+                  {s.summary?.lastSummary
+                    ? `${s.summary.lastSummary.MATCHED + s.summary.lastSummary.MATCHED_GROUP} of ${s.summary.lastSummary.total} matched`
+                    : "not reconciled yet"}
+                  {" • "}used {new Date(s.updatedAt).toLocaleString()}
+                </Typography>
+              </Box>
+              <Stack direction="row" spacing={1}>
+                <Button size="small" variant="outlined" onClick={() => onOpen(s.id)}>Open</Button>
+                <Tooltip title="Delete session">
+                  <IconButton size="small" onClick={() => onDelete(s.id)}><DeleteOutlineIcon fontSize="small" /></IconButton>
+                </Tooltip>
+              </Stack>
+            </Stack>
+          ))}
+        </Stack>
+      </Glass>
+    );
+  }
+
+  // Login / signup against the backend's local accounts.
+  // onSubmit({ username, password, name }) resolves once signed in, or throws.
   function AuthCard({ mode, onModeChange, onSubmit, onAbout }) {
     const isSignup = mode === "signup";
+    const [form, setForm] = useState({ name: "", username: "", password: "", confirm: "" });
+    const [error, setError] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const field = (key) => ({
+      value: form[key],
+      onChange: (e) => setForm(prev => ({ ...prev, [key]: e.target.value })),
+    });
+
+    const submit = async (e) => {
+      e.preventDefault();
+      if (isSignup && form.password !== form.confirm) return setError("Passwords don't match.");
+      setError("");
+      setBusy(true);
+      try {
+        await onSubmit({ username: form.username, password: form.password, name: isSignup ? form.name : undefined });
+      } catch (err) {
+        setError(err?.response?.data?.error || err.message);
+        setBusy(false);
+      }
+    };
 
     return (
       <Box
@@ -250,33 +1197,42 @@
       >
         <Box sx={{ display: "grid", gap: 2, placeItems: "center", width: "100%" }}>
           <Glass sx={{ p: 3, maxWidth: 520, width: "100%" }}>
-            <Stack spacing={2} alignItems="center">
+            <Stack component="form" spacing={2} alignItems="center" onSubmit={submit}>
             <Typography variant="h5" sx={{ fontWeight: 700 }}>
               {isSignup ? "Create your account" : "Welcome back"}
             </Typography>
             <Typography variant="body2" color="text.secondary">
               {isSignup
-                ? "Mock signup. No data is saved yet."
-                : "Mock login. Use any email/password to continue."}
+                ? "Your sessions and reconciliations are private to your account."
+                : "Log in to reopen your sessions."}
             </Typography>
 
             {isSignup && (
-              <TextField label="Full name" fullWidth />
+              <TextField label="Full name" fullWidth {...field("name")} />
             )}
-            <TextField label="Email" type="email" fullWidth />
-            <TextField label="Password" type="password" fullWidth />
+            <TextField label="Username or email" autoComplete="username" required fullWidth {...field("username")} />
+            <TextField
+              label="Password"
+              type="password"
+              autoComplete={isSignup ? "new-password" : "current-password"}
+              required
+              fullWidth
+              helperText={isSignup ? "At least 8 characters" : undefined}
+              {...field("password")}
+            />
             {isSignup && (
-              <TextField label="Confirm password" type="password" fullWidth />
+              <TextField label="Confirm password" type="password" autoComplete="new-password" required fullWidth {...field("confirm")} />
             )}
+            {error && <Alert severity="error" sx={{ width: "100%" }}>{error}</Alert>}
 
-            <Button variant="contained" size="large" onClick={onSubmit}>
-              {isSignup ? "Create account" : "Log in"}
+            <Button type="submit" variant="contained" size="large" disabled={busy}>
+              {busy ? "Please wait..." : isSignup ? "Create account" : "Log in"}
             </Button>
 
             <Divider sx={{ opacity: 0.3 }} />
             <Typography variant="body2" color="text.secondary">
               {isSignup ? "Already have an account?" : "New here?"}{" "}
-              <Button variant="text" onClick={() => onModeChange(isSignup ? "login" : "signup")}>
+              <Button variant="text" onClick={() => { setError(""); onModeChange(isSignup ? "login" : "signup"); }}>
                 {isSignup ? "Log in" : "Create account"}
               </Button>
             </Typography>
@@ -295,7 +1251,9 @@
     );
   }
 
-  function ProtectedRoute({ isAuthed }) {
+  // `pending` while a stored login is still being checked, so deep links survive reloads.
+  function ProtectedRoute({ isAuthed, pending }) {
+    if (pending) return null;
     return isAuthed ? <Outlet /> : <Navigate to="/auth" replace />;
   }
 
@@ -320,17 +1278,51 @@
       setStrategy,
       rules,
       setRules,
+      mapping,
+      setMapping,
+      parseOptions,
+      setParseOptions,
+      fx,
+      setFx,
     } = useAppContext();
 
     const [loading, setLoading] = useState(false);
+    // Share of the files sent so far while uploading (null otherwise).
+    const [uploadProgress, setUploadProgress] = useState(null);
+    // The reconciliation job being waited for (state, phase, percent), or null.
+    const [reconJob, setReconJob] = useState(null);
     const [toast, setToast] = useState({ open: false, msg: "", severity: "info" });
 
     const [filter, setFilter] = useState("ALL");
     const [search, setSearch] = useState("");
 
     const [drawer, setDrawer] = useState({ open: false, row: null });
+    const [runDiff, setRunDiff] = useState(null);
+    const [exportTarget, setExportTarget] = useState(null);
+    const [selection, setSelection] = useState([]);
+    const [caseFilter, setCaseFilter] = useState("ALL");
+    // The page of results the table shows (read from the server), with the run's case counts.
+    const [resultsPage, setResultsPage] = useState({ results: [], total: 0, exceptions: {} });
+    const [resultsLoading, setResultsLoading] = useState(false);
+    const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 100 });
+    const [sortModel, setSortModel] = useState([]);
+    const [debouncedSearch, setDebouncedSearch] = useState("");
+    // Bumped to read the page again after a change that doesn't replace the run.
+    const [resultsVersion, setResultsVersion] = useState(0);
+    // New whenever the run (reruns, overrides) or one of its results (exception edits) changes.
+    const auditRefresh = useMemo(() => ({ recon, resultsVersion }), [recon, resultsVersion]);
+    // Every result loaded so far by id, so a selection can span pages.
+    const loadedResults = useRef(new Map());
+    const [notePrompt, setNotePrompt] = useState(null);
     const [authMode, setAuthMode] = useState("login");
-    const [isAuthed, setIsAuthed] = useState(false);
+    const [user, setUser] = useState(null);
+    // With a stored token, wait for /api/auth/me before deciding where to route.
+    const [authChecked, setAuthChecked] = useState(() => !getAuthToken());
+    const [savedSessions, setSavedSessions] = useState([]);
+    const [fxRates, setFxRates] = useState(null);
+    const [templates, setTemplates] = useState([]);
+    const [templateSuggestion, setTemplateSuggestion] = useState(null);
+    const isAuthed = !!user;
 
     const canUpload = !!fileA && !!fileB;
     const activeStep = useMemo(() => {
@@ -363,6 +1355,139 @@
     }, []);
     
 
+    // Resume a stored login; an expired or revoked token sends the user back to /auth.
+    useEffect(() => {
+      if (getAuthToken()) {
+        getMe()
+          .then(setUser)
+          .catch(() => setUser(null))
+          .finally(() => setAuthChecked(true));
+      }
+      return onUnauthorized(() => {
+        setUser(null);
+        setToast({ open: true, msg: "Your login expired. Please log in again.", severity: "warning" });
+      });
+    }, []);
+
+    // Load a stored session: profiles, parse options and its latest run.
+    async function loadSession(id) {
+      const data = await getSession(id);
+      setSessionId(id);
+      setMeta(data.meta);
+      setParseOptions({
+        a: { ...defaultParseOptions.a, ...data.parseOptions?.a },
+        b: { ...defaultParseOptions.b, ...data.parseOptions?.b },
+      });
+      setMapping(suggestMapping(data.meta));
+      setFxRates(data.fxRates || null);
+      setFx(data.recon?.fx
+        ? { baseCurrency: data.recon.fx.baseCurrency, currency: { a: data.recon.fx.currency.a || "", b: data.recon.fx.currency.b || "" } }
+        : defaultFx);
+      setRecon(data.recon || null);
+      setStrategy(data.recon?.mode || "auto");
+      return data;
+    }
+
+    // Search once typing pauses.
+    useEffect(() => {
+      const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+      return () => clearTimeout(timer);
+    }, [search]);
+
+    // Another run, filter, search or sort starts again on the first page.
+    useEffect(() => {
+      setPaginationModel(m => (m.page ? { ...m, page: 0 } : m));
+    }, [recon?.id, filter, caseFilter, debouncedSearch, sortModel]);
+
+    useEffect(() => {
+      loadedResults.current.clear();
+    }, [recon?.id]);
+
+    // Read the page of results the table shows.
+    useEffect(() => {
+      if (!sessionId || !recon?.id) return;
+      let stale = false;
+      const sorted = sortModel[0];
+      setResultsLoading(true);
+      listResults(sessionId, {
+        runId: recon.id,
+        status: filter === "ALL" ? undefined : filter,
+        exception: caseFilter === "ALL" ? undefined : caseFilter,
+        q: debouncedSearch || undefined,
+        sort: sorted ? (RESULT_SORTS[sorted.field] ?? sorted.field) : undefined,
+        order: sorted?.sort,
+        offset: paginationModel.page * paginationModel.pageSize,
+        limit: paginationModel.pageSize,
+      })
+        .then(page => {
+          if (stale) return;
+          for (const r of page.results) loadedResults.current.set(r.id, r);
+          setResultsPage(page);
+        })
+        .catch(e => !stale && setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" }))
+        .finally(() => !stale && setResultsLoading(false));
+      return () => { stale = true; };
+    }, [sessionId, recon, filter, caseFilter, debouncedSearch, sortModel, paginationModel, resultsVersion]);
+
+    // Reopen the session remembered from an earlier visit (e.g. after a reload).
+    useEffect(() => {
+      if (!user || !sessionId || meta) return;
+      loadSession(sessionId).catch(() => setSessionId(null));
+    }, [user]);
+
+    // The user's sessions, refreshed whenever the upload page is shown.
+    useEffect(() => {
+      if (!user || location.pathname !== "/upload") return;
+      listSessions().then(setSavedSessions).catch(() => setSavedSessions([]));
+    }, [user, location.pathname]);
+
+    // Saved templates, and one to suggest when a fresh session's files look like its own.
+    useEffect(() => {
+      if (!user || !sessionId || location.pathname !== "/strategy") return;
+      listTemplates().then(setTemplates).catch(() => setTemplates([]));
+      if (recon) {
+        setTemplateSuggestion(null);
+        return;
+      }
+      suggestTemplates(sessionId)
+        .then(list => setTemplateSuggestion(list.find(s => !s.missing.length) || null))
+        .catch(() => setTemplateSuggestion(null));
+    }, [user, sessionId, location.pathname]);
+
+    async function handleAuth(credentials) {
+      const signedIn = await authenticate(authMode, credentials);
+      setUser(signedIn);
+      setToast({ open: true, msg: `Signed in as ${signedIn.name}.`, severity: "success" });
+      navigate("/upload");
+    }
+
+    async function handleLogout() {
+      await logout().catch(() => {});
+      resetAll();
+      setUser(null);
+      setSavedSessions([]);
+      navigate("/auth");
+    }
+
+    async function handleOpenSession(id) {
+      try {
+        const data = await loadSession(id);
+        navigate(data.recon ? "/review" : "/strategy");
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    async function handleDeleteSession(id) {
+      try {
+        await deleteSession(id);
+        setSavedSessions(prev => prev.filter(s => s.id !== id));
+        if (id === sessionId) resetAll();
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
     // Decide whether auto matching by ID is likely reliable.
     const detectedHasId = useMemo(() => {
       const aId = meta?.a?.detected?.id;
@@ -371,18 +1496,23 @@
     }, [meta]);
 
     // Upload files to backend and create a reconciliation session.
-    async function handleCreateSession() {
+    // `sheets` ({ sheetA, sheetB }) picks workbook sheets; the first with data otherwise.
+    async function handleCreateSession(sheets = {}) {
       try {
         setLoading(true);
-        const data = await createSession(fileA, fileB);
+        setUploadProgress(0);
+        const data = await createSession(fileA, fileB, { ...sheets, onProgress: setUploadProgress });
         setSessionId(data.sessionId);
         setMeta(data.meta);
+        setMapping(suggestMapping(data.meta));
+        setFxRates(null);
         setToast({ open: true, msg: "Files ingested. Data profile generated.", severity: "success" });
         navigate("/strategy");
       } catch (e) {
         setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
       } finally {
         setLoading(false);
+        setUploadProgress(null);
       }
     }
 
@@ -396,20 +1526,209 @@
       setSessionId(null);
       setMeta(null);
       setRecon(null);
+      setMapping(null);
+      setParseOptions(defaultParseOptions);
+      setFx(defaultFx);
+      setFxRates(null);
     
       setStrategy("auto");
       setRules({
         amountTolerance: "",
         dateToleranceDays: "",
+        groupMatching: false,
+        maxGroupSize: 3,
       });
     
       setFilter("ALL");
+      setCaseFilter("ALL");
       setSearch("");
+      setSortModel([]);
     
       setDrawer({ open: false, row: null });
     };
     
 
+    // Re-read both uploads with another workbook sheet for one side.
+    function handleSheetChange(side, sheet) {
+      handleCreateSession({
+        sheetA: side === "a" ? sheet : meta?.a?.file?.sheet,
+        sheetB: side === "b" ? sheet : meta?.b?.file?.sheet,
+      });
+    }
+
+    // Apply a manual match / unmatch / accept to the shown run and show the updated results.
+    async function handleOverride(action, body) {
+      try {
+        const data = await overrideRun(sessionId, recon.id, action, body);
+        setRecon(data);
+        setSelection([]);
+        setDrawer({ open: false, row: null });
+        setToast({ open: true, msg: "Override saved.", severity: "success" });
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    // Save a change to the open record's exception case and show it in place.
+    async function handleExceptionSave(changes) {
+      try {
+        const { result } = await updateException(sessionId, recon.id, drawer.row.id, changes);
+        setResultsVersion(v => v + 1);
+        setDrawer(d => ({ ...d, row: { ...d.row, exception: result.exception } }));
+        setToast({ open: true, msg: "Exception updated.", severity: "success" });
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    // Ask for a note, then apply the override.
+    const askOverride = (action, body, { title, label, required = false }) =>
+      setNotePrompt({ title, action: label, required, run: (note) => handleOverride(action, { ...body, note }) });
+
+    // Selected grid rows that can be force-matched: unmatched rows from both datasets.
+    const selectedRows = selection.map(id => loadedResults.current.get(id)).filter(Boolean);
+    const canMatchSelection = selectedRows.length > 1
+      && selectedRows.every(r => UNPAIRED_A.includes(r.status) || UNPAIRED_B.includes(r.status))
+      && selectedRows.some(r => UNPAIRED_A.includes(r.status))
+      && selectedRows.some(r => UNPAIRED_B.includes(r.status));
+
+    // Show an earlier run's results in the review table.
+    async function handleOpenRun(runId) {
+      try {
+        const data = await getRun(sessionId, runId);
+        setRecon(data);
+        setStrategy(data.mode);
+        setFilter("ALL");
+        setCaseFilter("ALL");
+        setSelection([]);
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    // Load which records changed status between two runs.
+    async function handleCompareRuns(from, to) {
+      try {
+        setRunDiff(await diffRuns(sessionId, from, to));
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    async function handleFxUpload(file) {
+      try {
+        setFxRates(await uploadFxRates(sessionId, file));
+        setToast({ open: true, msg: "FX rates uploaded.", severity: "success" });
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    async function handleFxRemove() {
+      try {
+        await deleteFxRates(sessionId);
+        setFxRates(null);
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    // Debit/credit columns swap the mapped amount for the derived signed amount (and back).
+    function handleParseOptions(next) {
+      setParseOptions(next);
+      setMapping(m => {
+        if (!m) return m;
+        const amount = { ...m.amount };
+        for (const side of ["a", "b"]) {
+          if (hasDebitCredit(next[side]) && !hasDebitCredit(parseOptions[side])) amount[side] = SIGNED_AMOUNT_FIELD;
+          if (!hasDebitCredit(next[side]) && amount[side] === SIGNED_AMOUNT_FIELD) amount[side] = "";
+        }
+        return { ...m, amount };
+      });
+    }
+
+    // The run settings as the backend takes them (for a reconcile or a saved template).
+    function runSettings() {
+      // The user-edited mapping is sent as-is; the backend rejects unknown columns.
+      const settings = {
+        mode: strategy,
+        mapping,
+        parseOptions,
+        rules: { comparisons: buildComparisons(mapping) }
+      };
+
+      // A base currency turns on conversion; the backend checks the rates and currencies.
+      if (fx.baseCurrency) {
+        settings.fx = { baseCurrency: fx.baseCurrency, currency: { a: fx.currency.a || null, b: fx.currency.b || null } };
+      }
+
+      // Matching rules only apply in custom mode; auto mode matches by ID.
+      if (strategy === "custom") {
+        const { amount, date } = mapping;
+        settings.rules = {
+          ...settings.rules,
+          amountTolerance: Number(rules.amountTolerance || 0),
+          dateToleranceDays: Number(rules.dateToleranceDays || 0),
+          compositeKeysA: [amount.a, date.a].filter(Boolean),
+          compositeKeysB: [amount.b, date.b].filter(Boolean),
+          fieldTypes: {
+            ...(amount.a && { [amount.a]: "number" }),
+            ...(date.a && { [date.a]: "date" }),
+            ...(amount.b && { [amount.b]: "number" }),
+            ...(date.b && { [date.b]: "date" })
+          },
+          groupMatching: !!rules.groupMatching,
+          maxGroupSize: Number(rules.maxGroupSize || 3)
+        };
+      }
+      return settings;
+    }
+
+    // Load a saved template's settings into the strategy page.
+    function handleApplyTemplate(id) {
+      const t = templates.find(x => x.id === id);
+      if (!t) return;
+      setStrategy(t.mode);
+      setParseOptions({
+        a: { ...defaultParseOptions.a, ...t.parseOptions?.a },
+        b: { ...defaultParseOptions.b, ...t.parseOptions?.b },
+      });
+      setMapping(templateMapping(t));
+      setRules({
+        amountTolerance: String(t.rules?.amountTolerance ?? ""),
+        dateToleranceDays: String(t.rules?.dateToleranceDays ?? ""),
+        groupMatching: !!t.rules?.groupMatching,
+        maxGroupSize: t.rules?.maxGroupSize ?? 3,
+      });
+      setFx(t.fx
+        ? { baseCurrency: t.fx.baseCurrency, currency: { a: t.fx.currency?.a || "", b: t.fx.currency?.b || "" } }
+        : defaultFx);
+      setTemplateSuggestion(null);
+      setToast({ open: true, msg: `Applied template "${t.name}".`, severity: "success" });
+    }
+
+    // Save the current settings under `name`, replacing the template of that name if any.
+    async function handleSaveTemplate(name) {
+      try {
+        const existing = templates.find(t => t.name === name);
+        const body = { name, sessionId, ...runSettings() };
+        const saved = existing ? await updateTemplate(existing.id, body) : await saveTemplate(body);
+        setTemplates(prev => [saved, ...prev.filter(t => t.id !== saved.id)]);
+        setToast({ open: true, msg: `Template "${name}" ${existing ? "updated" : "saved"}.`, severity: "success" });
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
+    async function handleDeleteTemplate(id) {
+      try {
+        await deleteTemplate(id);
+        setTemplates(prev => prev.filter(t => t.id !== id));
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+      }
+    }
+
     // Build payload and trigger reconciliation on the backend.
     async function handleReconcile() {
       console.log("RUN RECON CLICKED");
@@ -417,56 +1736,24 @@
       try {
         setLoading(true);
     
-        const payload = {
-          sessionId,
-          mode: strategy,
-          mapping: {
-            id: {
-              a: meta?.a?.detected?.id || "transaction_id",
-              b: meta?.b?.detected?.id || "transaction_id"
-            },
-            amount: {
-              a: meta?.a?.detected?.amount || "amount",
-              b: meta?.b?.detected?.amount || "amount"
-            },
-            date: {
-              a: meta?.a?.detected?.date || "date",
-              b: meta?.b?.detected?.date || "date"
-            },
-            description: { a: "description", b: "description" }
-          }
-        };
-    
-        // Only send rules in custom mode; auto mode ignores them.
-        if (strategy === "custom") {
-          payload.rules = {
-            amountTolerance: Number(rules.amountTolerance || 0),
-            dateToleranceDays: Number(rules.dateToleranceDays || 0),
-            compositeKeysA: [
-              meta?.a?.detected?.amount || "amount",
-              meta?.a?.detected?.date || "date"
-            ],
-            compositeKeysB: [
-              meta?.b?.detected?.amount || "amount",
-              meta?.b?.detected?.date || "date"
-            ],
-            fieldTypes: {
-              [meta?.a?.detected?.amount || "amount"]: "number",
-              [meta?.a?.detected?.date || "date"]: "date",
-              [meta?.b?.detected?.amount || "amount"]: "number",
-              [meta?.b?.detected?.date || "date"]: "date",
-              description: "string"
-            }
-          };
-        }
+        const payload = { sessionId, ...runSettings() };
     
         console.log("PAYLOAD SENT:", payload);
     
-        const data = await runReconcile(payload);
+        const { job } = await runReconcile(payload);
+        setReconJob(job);
+        const finished = await waitForJob(job.id, { onProgress: setReconJob });
+        if (finished.state === "cancelled") {
+          setToast({ open: true, msg: "Reconciliation cancelled.", severity: "info" });
+          return;
+        }
+        if (finished.state === "failed") throw new Error(finished.error);
+        const data = await getRun(sessionId, finished.result.runId);
     
         console.log("RESPONSE RECEIVED:", data);
     
         setRecon(data);
+        setMeta(data.meta);
         navigate("/review");
         setToast({ open: true, msg: "Reconciliation complete.", severity: "success" });
       } catch (e) {
@@ -474,83 +1761,62 @@
         setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
       } finally {
         setLoading(false);
+        setReconJob(null);
+      }
+    }
+
+    const handleDownloadError = (e) =>
+      setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
+
+    // Ask the running reconciliation to stop; handleReconcile reports when it has.
+    async function handleCancelReconcile() {
+      try {
+        setReconJob(await cancelJob(reconJob.id));
+      } catch (e) {
+        setToast({ open: true, msg: e?.response?.data?.error || e.message, severity: "error" });
       }
     }
     
 
+    // Mapping the shown result was produced with (falls back to the one being edited).
+    const runMapping = recon?.mapping || mapping;
+
     // Data used by the summary pie chart.
     const pieData = useMemo(() => {
       if (!recon?.summary) return [];
       return [
         { name: "Matched", value: recon.summary.MATCHED, key: "MATCHED" },
+        { name: "Matched (group)", value: recon.summary.MATCHED_GROUP ?? 0, key: "MATCHED_GROUP" },
         { name: "Mismatch", value: recon.summary.MISMATCH, key: "MISMATCH" },
         { name: "Missing in A", value: recon.summary.MISSING_IN_A, key: "MISSING_IN_A" },
-        { name: "Missing in B", value: recon.summary.MISSING_IN_B, key: "MISSING_IN_B" }
+        { name: "Missing in B", value: recon.summary.MISSING_IN_B, key: "MISSING_IN_B" },
+        { name: "Duplicate in A", value: recon.summary.DUPLICATE_IN_A ?? 0, key: "DUPLICATE_IN_A" },
+        { name: "Duplicate in B", value: recon.summary.DUPLICATE_IN_B ?? 0, key: "DUPLICATE_IN_B" }
       ].filter(d => d.value > 0);
     }, [recon]);
 
     console.log("RECON RAW DATA:", recon);
 
-    // Normalized rows for basic table use.
-    const rows = useMemo(() => {
-      if (!recon?.results) return [];
-    
-      return recon.results.map((r, idx) => ({
-        id: idx + 1,
-        status: r.status?.toUpperCase(), // 🔥 NORMALIZED HERE
-        reason: r.reason,
-        key: r.key,
-        aRow: r.a?._rowId ?? "",
-        bRow: r.b?._rowId ?? "",
-      }));
-    }, [recon]);
-    
-
-
-    // Apply status filter + search against A/B content and reasons.
-    const filteredRows = useMemo(() => {
-    if (!recon || !Array.isArray(recon.results)) return [];
-
-    let rows = recon.results;
-
-    // Normalize status to UPPER_SNAKE_CASE
-    rows = rows.map(r => ({
-      ...r,
-      _normalizedStatus: r.status
-        ?.toUpperCase()
-        .replace(/\s+/g, "_"),
-    }));
-
-    if (filter !== "ALL") {
-      rows = rows.filter(r => r._normalizedStatus === filter);
-    }
-
-    if (search.trim() !== "") {
-      const q = search.toLowerCase();
-      rows = rows.filter(r =>
-        r.key?.toLowerCase().includes(q) ||
-        r.reason?.toLowerCase().includes(q) ||
-        JSON.stringify(r.a || {}).toLowerCase().includes(q) ||
-        JSON.stringify(r.b || {}).toLowerCase().includes(q)
-      );
-    }
-
-    return rows;
-  }, [recon, filter, search]);
-
-    
-    
+  // Rows show their mapped ID (row number without one); group matches every member's.
+  const memberIds = (r, side) => {
+    const rowId = (m) => m[runMapping?.id?.[side]] ?? m.__rowId;
+    return r.group ? r.group[side].map(rowId).join(", ") : (r[side] ? rowId(r[side]) : "-");
+  };
 
-  // DataGrid expects a stable id; derive one from key or index.
-  const gridRows = filteredRows.map((r, index) => ({
-    id: r.key || index,
+  // The page of results as table rows.
+  const gridRows = resultsPage.results.map(r => ({
+    id: r.id,
     status: r.status,
     reason: r.reason,
     key: r.key,
-    aRow: r.a ? r.a.transaction_id : "-",
-    bRow: r.b ? r.b.transaction_id : "-",
+    aRow: memberIds(r, "a"),
+    bRow: memberIds(r, "b"),
     a: r.a,   // ✅ ADD THIS
-    b: r.b    // ✅ ADD THIS
+    b: r.b,   // ✅ ADD THIS
+    group: r.group,
+    diffs: r.diffs,
+    manual: r.manual,
+    exception: r.exception
   }));
   
     
@@ -563,7 +1829,12 @@
         field: "status",
         headerName: "Status",
         width: 150,
-        renderCell: (params) => <StatusChip status={params.value} />,
+        renderCell: (params) => (
+          <Stack direction="row" spacing={0.5} alignItems="center" sx={{ height: "100%" }}>
+            <StatusChip status={params.value} />
+            {params.row.manual && <Chip size="small" variant="outlined" label="MANUAL" />}
+          </Stack>
+        ),
       },
       {
         field: "reason",
@@ -571,6 +1842,18 @@
         flex: 1,
         minWidth: 260,
       },
+      {
+        field: "exception",
+        headerName: "Case",
+        width: 180,
+        valueGetter: (value) => value ? `${exceptionStates[value.state]?.label} ${value.assignee || ""}` : "",
+        renderCell: (params) => params.row.exception ? (
+          <Stack direction="row" spacing={0.5} alignItems="center" sx={{ height: "100%" }}>
+            <ExceptionChip exception={params.row.exception} />
+            <Typography variant="caption">{params.row.exception.assignee}</Typography>
+          </Stack>
+        ) : null,
+      },
       {
         field: "key",
         headerName: "Key",
@@ -597,6 +1880,15 @@
       </Glass>
     );
 
+    // Money KPI: the amount with what it adds up in small print.
+    const moneyKpi = (label, value, color, caption) => (
+      <Glass sx={{ p: 2.2 }}>
+        <Typography variant="caption" sx={{ opacity: 0.75 }}>{label}</Typography>
+        <Typography variant="h5" sx={{ fontWeight: 800, color, wordBreak: "break-all" }}>{formatMoney(value)}</Typography>
+        {caption && <Typography variant="caption" color="text.secondary">{caption}</Typography>}
+      </Glass>
+    );
+
     return (
       <ThemeProvider theme={theme}>
         <CssBaseline />
@@ -613,15 +1905,12 @@
                     Smart Reconciliation Visualizer
                   </Typography>
                   {isAuthed && (
-                    <Button
-                      variant="outlined"
-                      onClick={() => {
-                        setIsAuthed(false);
-                        navigate("/auth");
-                      }}
-                    >
-                      Log out
-                    </Button>
+                    <Stack direction="row" spacing={1.5} alignItems="center">
+                      <Typography variant="body2" color="text.secondary">{user.name}</Typography>
+                      <Button variant="outlined" onClick={handleLogout}>
+                        Log out
+                      </Button>
+                    </Stack>
                   )}
                 </Stack>
                 <Typography variant="body1" sx={{ opacity: 0.8 }}>
@@ -657,11 +1946,7 @@
                         <AuthCard
                           mode={authMode}
                           onModeChange={setAuthMode}
-                          onSubmit={() => {
-                            setIsAuthed(true);
-                            setToast({ open: true, msg: "Mock auth success.", severity: "success" });
-                            navigate("/upload");
-                          }}
+                          onSubmit={handleAuth}
                           onAbout={() => aboutRef.current?.scrollIntoView({ behavior: "smooth" })}
                         />
                         <Box
@@ -680,7 +1965,7 @@
                     )
                   }
                 />
-                <Route element={<ProtectedRoute isAuthed={isAuthed} />}>
+                <Route element={<ProtectedRoute isAuthed={isAuthed} pending={!authChecked} />}>
                   <Route
                     path="/upload"
                     element={
@@ -694,10 +1979,17 @@
                         >
                           <Stack spacing={2}>
                             <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" }, gap: 2 }}>
-                              <FileCard title="Dataset A" file={fileA} onPick={setFileA} meta={meta?.a} />
-                              <FileCard title="Dataset B" file={fileB} onPick={setFileB} meta={meta?.b} />
+                              <FileCard title="Dataset A" file={fileA} onPick={setFileA} meta={meta?.a} onSheet={(sheet) => handleSheetChange("a", sheet)} />
+                              <FileCard title="Dataset B" file={fileB} onPick={setFileB} meta={meta?.b} onSheet={(sheet) => handleSheetChange("b", sheet)} />
                             </Box>
 
+                            <SessionsCard
+                              sessions={savedSessions}
+                              currentId={sessionId}
+                              onOpen={handleOpenSession}
+                              onDelete={handleDeleteSession}
+                            />
+
                             <Stack direction={{ xs: "column", sm: "row" }} spacing={1} justifyContent="space-between" alignItems={{ xs: "stretch", sm: "center" }}>
                               <Alert severity="info" sx={{ background: "rgba(124,92,255,0.10)", border: "1px solid rgba(124,92,255,0.25)" }}>
                                 Pro tip: Use <b>transaction_id</b> for best matching. If not available, we support rule-based matching.
@@ -706,11 +1998,20 @@
                                 variant="contained"
                                 size="large"
                                 disabled={!canUpload || loading}
-                                onClick={handleCreateSession}
+                                onClick={() => handleCreateSession()}
                               >
-                                {loading ? "Processing..." : "Continue"}
+                                {uploadProgress !== null && uploadProgress < 1
+                                  ? `Uploading ${Math.round(uploadProgress * 100)}%`
+                                  : loading ? "Processing..." : "Continue"}
                               </Button>
                             </Stack>
+                            {uploadProgress !== null && (
+                              <LinearProgress
+                                variant={uploadProgress < 1 ? "determinate" : "indeterminate"}
+                                value={uploadProgress * 100}
+                                sx={{ borderRadius: 1 }}
+                              />
+                            )}
                           </Stack>
                         </motion.div>
                       </AnimatePresence>
@@ -731,6 +2032,18 @@
                             transition={{ duration: 0.25 }}
                           >
                             <Stack spacing={2}>
+                              <TemplateCard
+                                templates={templates}
+                                suggestion={templateSuggestion}
+                                onApply={handleApplyTemplate}
+                                onSave={handleSaveTemplate}
+                                onDelete={handleDeleteTemplate}
+                                onDismiss={() => setTemplateSuggestion(null)}
+                              />
+                              <ParseOptionsCard meta={meta} parseOptions={parseOptions} onChange={handleParseOptions} />
+{mapping && <MappingCard meta={meta} parseOptions={parseOptions} mapping={mapping} onChange={setMapping} />}
+                              <FxCard fx={fx} onChange={setFx} mapping={mapping} rates={fxRates} onUpload={handleFxUpload} onRemove={handleFxRemove} />
+
                               <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" }, gap: 2, alignItems: "stretch" }}>
                                 <StrategyCard
                                   title="Auto Match"
@@ -800,6 +2113,37 @@
                     inputProps={{ min: 0 }}
                   />
 
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={!!rules.groupMatching}
+                        onChange={(e) =>
+                          setRules((prev) => ({
+                            ...prev,
+                            groupMatching: e.target.checked,
+                          }))
+                        }
+                      />
+                    }
+                    label="Match split / aggregated transactions (one row ↔ several rows)"
+                  />
+
+                  {rules.groupMatching && (
+                    <TextField
+                      label="Max rows per group"
+                      type="number"
+                      fullWidth
+                      value={rules.maxGroupSize}
+                      onChange={(e) =>
+                        setRules((prev) => ({
+                          ...prev,
+                          maxGroupSize: e.target.value,
+                        }))
+                      }
+                      inputProps={{ min: 2, max: 6 }}
+                    />
+                  )}
+
                           </Stack>
                         </Glass>
                       </motion.div>
@@ -812,9 +2156,28 @@
                               <Stack direction={{ xs: "column", sm: "row" }} spacing={1} justifyContent="space-between" alignItems={{ xs: "stretch", sm: "center" }}>
                                 <Button variant="outlined" onClick={() => navigate("/upload")}>Back</Button>
                                 <Button variant="contained" size="large" onClick={handleReconcile} disabled={loading}>
-                                  {loading ? "Reconciling..." : "Run Reconciliation"}
+                                  {loading ? (reconJob ? `Reconciling ${reconJob.percent}%` : "Reconciling...") : "Run Reconciliation"}
                                 </Button>
                               </Stack>
+                              {reconJob && (
+                                <Stack spacing={0.5}>
+                                  <Stack direction="row" justifyContent="space-between" alignItems="center">
+                                    <Typography variant="caption" color="text.secondary">
+                                      {reconJob.state === "queued"
+                                        ? "Waiting for a free worker…"
+                                        : `${JOB_PHASES[reconJob.phase] ?? "Starting"}… ${reconJob.percent}%`}
+                                    </Typography>
+                                    <Button size="small" onClick={handleCancelReconcile} disabled={reconJob.cancelRequested || reconJob.phase === "saving"}>
+                                      {reconJob.cancelRequested ? "Cancelling…" : "Cancel"}
+                                    </Button>
+                                  </Stack>
+                                  <LinearProgress
+                                    variant={reconJob.state === "queued" ? "indeterminate" : "determinate"}
+                                    value={reconJob.percent}
+                                    sx={{ borderRadius: 1 }}
+                                  />
+                                </Stack>
+                              )}
                             </Stack>
                           </motion.div>
                         </AnimatePresence>
@@ -824,7 +2187,7 @@
                   <Route
                     path="/review"
                     element={
-                      !recon?.results ? (
+                      !recon ? (
                         <Navigate to="/upload" replace />
                       ) : (
                         <AnimatePresence mode="wait">
@@ -837,12 +2200,40 @@
                           >
                             <Stack spacing={2}>
                               <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr", md: "1.2fr 0.8fr" }, gap: 2 }}>
+                                <Stack spacing={2}>
                                 <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr 1fr", md: "repeat(4, 1fr)" }, gap: 2 }}>
-                                  {kpi("Matched", recon.summary.MATCHED, theme.palette.success.main)}
+                                  {/* Group matches count as matched, as in the matched value and run history. */}
+                                  {kpi("Matched", recon.summary.MATCHED + (recon.summary.MATCHED_GROUP ?? 0), theme.palette.success.main)}
                                   {kpi("Mismatched", recon.summary.MISMATCH, theme.palette.error.main)}
                                   {kpi("Missing in A", recon.summary.MISSING_IN_A, theme.palette.warning.main)}
                                   {kpi("Missing in B", recon.summary.MISSING_IN_B, theme.palette.warning.main)}
                                 </Box>
+                                {recon.totals && (
+                                  <Box sx={{ display: "grid", gridTemplateColumns: { xs: "1fr 1fr", md: "repeat(4, 1fr)" }, gap: 2 }}>
+                                    {moneyKpi("Matched value", recon.totals.matched.a ?? recon.totals.matched.b, theme.palette.success.main,
+                                      `${recon.summary.MATCHED + (recon.summary.MATCHED_GROUP ?? 0)} rows`)}
+                                    {moneyKpi("Mismatch variance", recon.totals.mismatchVariance, theme.palette.error.main,
+                                      recon.totals.statuses.MISMATCH.count ? `A ${formatMoney(recon.totals.statuses.MISMATCH.a)} vs B ${formatMoney(recon.totals.statuses.MISMATCH.b)}` : "no mismatches")}
+                                    {moneyKpi("Unmatched in A", recon.totals.unmatchedA, theme.palette.warning.main,
+                                      `${recon.summary.MISSING_IN_B + (recon.summary.DUPLICATE_IN_A ?? 0)} rows`)}
+                                    {moneyKpi("Unmatched in B", recon.totals.unmatchedB, theme.palette.warning.main,
+                                      `${recon.summary.MISSING_IN_A + (recon.summary.DUPLICATE_IN_B ?? 0)} rows`)}
+                                  </Box>
+                                )}
+                                {recon.fx && (
+                                  <Alert
+                                    severity={recon.fx.failures.a.count + recon.fx.failures.b.count ? "warning" : "info"}
+                                    sx={recon.fx.failures.a.count + recon.fx.failures.b.count
+                                      ? { background: "rgba(255,176,32,0.08)", border: "1px solid rgba(255,176,32,0.25)" }
+                                      : { background: "rgba(124,92,255,0.10)", border: "1px solid rgba(124,92,255,0.25)" }}
+                                  >
+                                    Amounts compared in {recon.fx.baseCurrency}.
+                                    {["a", "b"].filter(side => recon.fx.failures[side].count).map(side => (
+                                      ` Dataset ${side.toUpperCase()}: ${recon.fx.failures[side].count} rows not converted (${recon.fx.failures[side].samples.slice(0, 3).map(f => `row ${f.row}: ${f.problem}`).join("; ")}).`
+                                    ))}
+                                  </Alert>
+                                )}
+                                </Stack>
 
                                 <Glass sx={{ p: 1.2, height: 200 }}>
                                   <Typography variant="h6" sx={{ px: 1, pt: 1 }}>Overview</Typography>
@@ -852,8 +2243,9 @@
                                         <Pie data={pieData} dataKey="value" nameKey="name" innerRadius={42} outerRadius={62} paddingAngle={3}>
                                           {pieData.map((entry) => (
                                             <Cell key={entry.key} fill={
-                                              entry.key === "MATCHED" ? theme.palette.success.main :
+                                              entry.key === "MATCHED" || entry.key === "MATCHED_GROUP" ? theme.palette.success.main :
                                               entry.key === "MISMATCH" ? theme.palette.error.main :
+  entry.key.startsWith("DUPLICATE") ? "#ff9f43" :
                                               theme.palette.warning.main
                                             } />
                                           ))}
@@ -867,20 +2259,33 @@
 
                               <Glass>
                                 <Stack direction={{ xs: "column", md: "row" }} spacing={1.2} alignItems={{ xs: "stretch", md: "center" }} justifyContent="space-between">
+                                  <Stack spacing={1}>
                                   <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
-                                    {["ALL","MATCHED","MISMATCH","MISSING_IN_A","MISSING_IN_B"].map(f => (
+                                    {["ALL","MATCHED","MATCHED_GROUP","MISMATCH","MISSING_IN_A","MISSING_IN_B","DUPLICATE_IN_A","DUPLICATE_IN_B"].map(f => (
                                       <Chip
                                         key={f}
-                                        label={f === "ALL" ? "All" :
-                                          f === "MISSING_IN_A" ? "Missing in A" :
-                                          f === "MISSING_IN_B" ? "Missing in B" :
-                                          f === "MISMATCH" ? "Mismatch" : "Matched"}
+                                        label={f === "ALL" ? "All" : normalizeStatus(f)}
                                         color={filter === f ? "primary" : "default"}
                                         onClick={() => setFilter(f)}
                                         variant={filter === f ? "filled" : "outlined"}
                                       />
                                     ))}
                                   </Stack>
+                                  {/* Exception cases, by state */}
+                                  <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap alignItems="center">
+                                    <Typography variant="caption" color="text.secondary">Cases:</Typography>
+                                    {["ALL", ...Object.keys(exceptionStates)].map(s => (
+                                      <Chip
+                                        key={s}
+                                        size="small"
+                                        label={s === "ALL" ? "All" : `${exceptionStates[s].label} (${resultsPage.exceptions?.[s] ?? 0})`}
+                                        color={caseFilter === s ? "primary" : "default"}
+                                        onClick={() => setCaseFilter(s)}
+                                        variant={caseFilter === s ? "filled" : "outlined"}
+                                      />
+                                    ))}
+                                  </Stack>
+                                  </Stack>
 
                                   <Stack direction={{ xs: "column", sm: "row" }} spacing={1} alignItems="center">
                                     <TextField
@@ -890,14 +2295,28 @@
                                       size="small"
                                       fullWidth
                                     />
+                                    {selection.length > 0 && (
+                                      <Tooltip title="Pair the selected unmatched rows from A and B">
+                                        <span>
+                                          <Button
+                                            variant="outlined"
+                                            disabled={!canMatchSelection}
+                                            onClick={() => askOverride("match", {
+                                              a: selectedRows.filter(r => UNPAIRED_A.includes(r.status)).map(r => r.a.__rowId),
+                                              b: selectedRows.filter(r => UNPAIRED_B.includes(r.status)).map(r => r.b.__rowId),
+                                            }, { title: `Match ${selectedRows.length} selected rows`, label: "Match" })}
+                                            sx={{ whiteSpace: "nowrap" }}
+                                          >
+                                            Match selected
+                                          </Button>
+                                        </span>
+                                      </Tooltip>
+                                    )}
                                     <Tooltip title="Export current filter">
                                       <Button
                                         variant="contained"
                                         startIcon={<DownloadIcon />}
-                                        component="a"
-                                        href={exportUrl(sessionId, filter === "ALL" ? "ALL" : filter)}
-                                        target="_blank"
-                                        rel="noreferrer"
+                                        onClick={() => setExportTarget({ filter, exception: caseFilter === "ALL" ? null : caseFilter })}
                                       >
                                         Export
                                       </Button>
@@ -913,7 +2332,21 @@
                                     rows={gridRows}              // ✅ USE GRID ROWS
                                     columns={columns}
                                     getRowId={(row) => row.id}   // ✅ id already exists
+                                    rowCount={resultsPage.total}
+                                    loading={resultsLoading}
+                                    paginationMode="server"
+                                    sortingMode="server"
+                                    filterMode="server"
+                                    paginationModel={paginationModel}
+                                    onPaginationModelChange={setPaginationModel}
+                                    pageSizeOptions={[25, 50, 100]}
+                                    sortModel={sortModel}
+                                    onSortModelChange={setSortModel}
+                                    checkboxSelection
                                     disableRowSelectionOnClick
+                                    keepNonExistentRowsSelected
+                                    rowSelectionModel={selection}
+                                    onRowSelectionModelChange={setSelection}
                                     onRowClick={(p) => setDrawer({ open: true, row: p.row })}
                                     sx={{
                                       border: 0,
@@ -923,6 +2356,16 @@
                                   />
                                 </Box>
                               </Glass>
+
+                              <RunHistoryCard sessionId={sessionId} currentRunId={recon.id} onOpen={handleOpenRun} onCompare={handleCompareRuns} onError={handleDownloadError} />
+                              <AuditTrailCard sessionId={sessionId} refreshKey={auditRefresh} onError={handleDownloadError} />
+                              <RunDiffDialog diff={runDiff} onClose={() => setRunDiff(null)} />
+                              <ExportDialog sessionId={sessionId} runId={recon.id} target={exportTarget} onClose={() => setExportTarget(null)} onError={handleDownloadError} />
+                              <NoteDialog
+                                prompt={notePrompt}
+                                onCancel={() => setNotePrompt(null)}
+                                onConfirm={(note) => { notePrompt.run(note); setNotePrompt(null); }}
+                              />
                             </Stack>
 
                             <Drawer
@@ -941,11 +2384,34 @@
 
                                 {drawer.row && (
                                   <Stack spacing={2} sx={{ mt: 1.5 }}>
-                                    <Stack direction="row" spacing={1} alignItems="center">
+                                    <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
                                       <StatusChip status={drawer.row.status} />
-                                    
+                                      {drawer.row.manual && <Chip size="small" variant="outlined" label="MANUAL" />}
+                                      <Box sx={{ flex: 1 }} />
+                                      {drawer.row.status === "MISMATCH" && (
+                                        <Button size="small" variant="outlined" onClick={() => askOverride("accept", { entryId: drawer.row.id }, { title: "Accept this mismatch", label: "Accept", required: true })}>
+                                          Accept mismatch
+                                        </Button>
+                                      )}
+                                      {PAIRED.includes(drawer.row.status) && (
+                                        <Button size="small" variant="outlined" color="warning" onClick={() => askOverride("unmatch", { entryId: drawer.row.id }, { title: "Break this match", label: "Unmatch" })}>
+                                          Unmatch
+                                        </Button>
+                                      )}
                                     </Stack>
 
+                                    {drawer.row.manual && (
+                                      <Alert severity="warning" sx={{ background: "rgba(255,176,32,0.08)", border: "1px solid rgba(255,176,32,0.25)" }}>
+                                        Manual {drawer.row.manual.action.toLowerCase()}{drawer.row.manual.by ? ` by ${drawer.row.manual.by}` : ""} on {new Date(drawer.row.manual.at).toLocaleString()}
+                                        {drawer.row.manual.note ? ` — ${drawer.row.manual.note}` : ""}
+                                        {drawer.row.manual.previous?.length > 0 && (
+                                          <Typography variant="caption" component="div">
+                                            Was: {drawer.row.manual.previous.map(p => normalizeStatus(p.status)).join(", ")}
+                                          </Typography>
+                                        )}
+                                      </Alert>
+                                    )}
+
                                     <Glass>
                                       <Typography variant="subtitle2" sx={{ mb: 1, opacity: 0.8 }}>
                                         Side-by-side comparison
@@ -958,27 +2424,62 @@
                                           b={drawer.row.key}
                                           highlight={false}
                                         />
-                                        <DiffRow
-                                          label="Amount"
-                                          a={drawer.row.a?.[meta?.a?.detected?.amount || "amount"]}
-                                          b={drawer.row.b?.[meta?.b?.detected?.amount || "amount"]}
-                                          highlight={String(drawer.row.reason || "").includes("AMOUNT")}
-                                        />
-                                        <DiffRow
-                                          label="Date"
-                                          a={drawer.row.a?.[meta?.a?.detected?.date || "date"]}
-                                          b={drawer.row.b?.[meta?.b?.detected?.date || "date"]}
-                                          highlight={String(drawer.row.reason || "").includes("DATE")}
-                                        />
-                                        <DiffRow
-                                          label="Description"
-                                          a={drawer.row.a?.description}
-                                          b={drawer.row.b?.description}
-                                          highlight={false}
-                                        />
+                                        {/* Compared pairs: one row per structured diff, highlighted when the rule failed. */}
+                                        {(drawer.row.diffs || []).map(d => (
+                                          <DiffRow
+                                            key={`${d.aField}-${d.bField}`}
+                                            label={d.field}
+                                            a={d.aFx || d.bFx ? formatConverted(d.aValue, d.aFx) : d.aValue}
+                                            b={d.aFx || d.bFx ? formatConverted(d.bValue, d.bFx) : d.bValue}
+                                            highlight={!d.passed}
+                                            note={describeDiff(d)}
+                                          />
+                                        ))}
+                                        {/* Mapped fields that weren't compared (or one-sided rows) are shown as-is. */}
+                                        {[
+                                          { label: recon?.fx ? "Amount (original)" : "Amount", ...runMapping?.amount },
+                                          { label: "Date", ...runMapping?.date },
+                                          { label: "Description", ...runMapping?.description },
+                                          { label: "Currency", ...runMapping?.currency },
+                                          ...(runMapping?.extra || []).map(f => ({ label: f.a === f.b ? f.a : `${f.a} / ${f.b}`, ...f })),
+                                        ]
+                                          .filter(f => (f.a || f.b) && !(drawer.row.diffs || []).some(d => d.aField === f.a && d.bField === f.b))
+                                          .map(f => (
+                                            <DiffRow
+                                              key={`${f.label}-${f.a}-${f.b}`}
+                                              label={f.label}
+                                              a={drawer.row.a?.[f.a]}
+                                              b={drawer.row.b?.[f.b]}
+                                              highlight={false}
+                                            />
+                                          ))}
                                       </Stack>
                                     </Glass>
 
+                                    {drawer.row.exception && (
+                                      <ExceptionPanel exception={drawer.row.exception} onSave={handleExceptionSave} />
+                                    )}
+
+                                    {drawer.row.group && (
+                                      <Glass>
+                                        <Typography variant="subtitle2" sx={{ mb: 1, opacity: 0.8 }}>
+                                          Group members (amount / date)
+                                        </Typography>
+
+                                        <Stack spacing={1.2}>
+                                          {["a", "b"].map(side => drawer.row.group[side].map(m => (
+                                            <DiffRow
+                                              key={`${side}-${m.__rowId}`}
+                                              label={`${side.toUpperCase()} row ${m.__rowId}`}
+                                              a={m[runMapping?.amount?.[side]]}
+                                              b={m[runMapping?.date?.[side]]}
+                                              highlight={false}
+                                            />
+                                          )))}
+                                        </Stack>
+                                      </Glass>
+                                    )}
+
                                     <Alert severity="info" sx={{ background: "rgba(46,229,157,0.08)", border: "1px solid rgba(46,229,157,0.2)" }}>
                                       Hint: Use tolerances if you expect rounding or timezone differences.
                                     </Alert>
@@ -1,17 +1,39 @@
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
 
 const AppContext = createContext(null);
 
+// Per-dataset parse options before the user changes anything ("auto" = detect).
+export const defaultParseOptions = {
+  a: { dateFormat: "auto", decimalSeparator: "auto", thousandsSeparator: "auto", negativeMarker: "DR", debitColumn: "", creditColumn: "" },
+  b: { dateFormat: "auto", decimalSeparator: "auto", thousandsSeparator: "auto", negativeMarker: "DR", debitColumn: "", creditColumn: "" },
+};
+
+// No currency conversion until a base currency is picked ("" = use the mapped column).
+export const defaultFx = { baseCurrency: "", currency: { a: "", b: "" } };
+
+// The current session id survives page reloads; the backend keeps the session itself.
+const SESSION_KEY = "recon.sessionId";
+
 export function AppProvider({ children }) {
-  const [sessionId, setSessionId] = useState(null);
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_KEY));
   const [meta, setMeta] = useState(null);
   const [recon, setRecon] = useState(null);
   const [strategy, setStrategy] = useState("auto");
+  const [mapping, setMapping] = useState(null);
+  const [parseOptions, setParseOptions] = useState(defaultParseOptions);
+  const [fx, setFx] = useState(defaultFx);
   const [rules, setRules] = useState({
     amountTolerance: "",
     dateToleranceDays: "",
+    groupMatching: false,
+    maxGroupSize: 3,
   });
 
+  useEffect(() => {
+    if (sessionId) localStorage.setItem(SESSION_KEY, sessionId);
+    else localStorage.removeItem(SESSION_KEY);
+  }, [sessionId]);
+
   const value = useMemo(
     () => ({
       sessionId,
@@ -24,8 +46,14 @@ export function AppProvider({ children }) {
       setStrategy,
       rules,
       setRules,
+      mapping,
+      setMapping,
+      parseOptions,
+      setParseOptions,
+      fx,
+      setFx,
     }),
-    [sessionId, meta, recon, strategy, rules]
+    [sessionId, meta, recon, strategy, rules, mapping, parseOptions, fx]
   );
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
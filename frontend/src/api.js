@@ -2,21 +2,218 @@ import axios from "axios";
 
 const API_BASE = import.meta.env.VITE_API_BASE || "https://smart-reconcillation-visualizer-5.onrender.com/";
 
-export async function createSession(fileA, fileB) {
+// The signed token from login/signup, kept across reloads and sent with every request.
+const TOKEN_KEY = "recon.token";
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export function setAuthToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+axios.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// `handler` runs when the backend refuses the token (expired or logged out elsewhere).
+export function onUnauthorized(handler) {
+  const id = axios.interceptors.response.use(undefined, (error) => {
+    if (error?.response?.status === 401 && getAuthToken()) {
+      setAuthToken(null);
+      handler();
+    }
+    return Promise.reject(error);
+  });
+  return () => axios.interceptors.response.eject(id);
+}
+
+// mode: "login" | "signup"; stores the token and answers with the user.
+export async function authenticate(mode, { username, password, name }) {
+  const { data } = await axios.post(`${API_BASE}/api/auth/${mode}`, { username, password, ...(name && { name }) });
+  setAuthToken(data.token);
+  return data.user;
+}
+
+export async function getMe() {
+  const { data } = await axios.get(`${API_BASE}/api/auth/me`);
+  return data.user;
+}
+
+export async function logout() {
+  try {
+    await axios.post(`${API_BASE}/api/auth/logout`);
+  } finally {
+    setAuthToken(null);
+  }
+}
+
+// The signed-in user's sessions, most recently used first.
+export async function listSessions() {
+  const { data } = await axios.get(`${API_BASE}/api/sessions`);
+  return data.sessions;
+}
+
+export async function deleteSession(sessionId) {
+  await axios.delete(`${API_BASE}/api/sessions/${sessionId}`);
+}
+
+// `onProgress(share)` follows the upload (0..1); the backend parses the files after that.
+export async function createSession(fileA, fileB, { sheetA, sheetB, onProgress } = {}) {
   const form = new FormData();
   form.append("fileA", fileA);
   form.append("fileB", fileB);
+  if (sheetA) form.append("sheetA", sheetA);
+  if (sheetB) form.append("sheetB", sheetB);
   const { data } = await axios.post(`${API_BASE}/api/sessions`, form, {
-    headers: { "Content-Type": "multipart/form-data" }
+    headers: { "Content-Type": "multipart/form-data" },
+    onUploadProgress: (e) => onProgress?.(e.total ? e.loaded / e.total : 0)
   });
   return data;
 }
 
+export async function getSession(sessionId) {
+  const { data } = await axios.get(`${API_BASE}/api/sessions/${sessionId}`);
+  return data;
+}
+
+// FX rate table for multi-currency runs; answers with its summary ({ count, pairs, from, to, ... }).
+export async function uploadFxRates(sessionId, file) {
+  const form = new FormData();
+  form.append("file", file);
+  const { data } = await axios.post(`${API_BASE}/api/sessions/${sessionId}/fx-rates`, form, {
+    headers: { "Content-Type": "multipart/form-data" }
+  });
+  return data.fxRates;
+}
+
+export async function deleteFxRates(sessionId) {
+  await axios.delete(`${API_BASE}/api/sessions/${sessionId}/fx-rates`);
+}
+
+// Start a reconciliation; answers with { job } (follow it with waitForJob).
 export async function runReconcile(payload) {
   const res = await axios.post(`${API_BASE}/api/reconcile`, payload);
   return res.data;
 }
 
-export function exportUrl(sessionId, filter = "ALL") {
-  return `${API_BASE}/api/export/${sessionId}?filter=${encodeURIComponent(filter)}`;
+export async function getJob(jobId) {
+  const { data } = await axios.get(`${API_BASE}/api/jobs/${jobId}`);
+  return data.job;
+}
+
+export async function cancelJob(jobId) {
+  const { data } = await axios.post(`${API_BASE}/api/jobs/${jobId}/cancel`);
+  return data.job;
+}
+
+// Poll a job until it finishes, handing every state to `onProgress(job)`; answers with
+// the finished job (done, failed or cancelled).
+export async function waitForJob(jobId, { onProgress, interval = 500 } = {}) {
+  for (;;) {
+    const job = await getJob(jobId);
+    onProgress?.(job);
+    if (job.finishedAt) return job;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+export async function listRuns(sessionId) {
+  const { data } = await axios.get(`${API_BASE}/api/sessions/${sessionId}/runs`);
+  return data;
+}
+
+export async function getRun(sessionId, runId) {
+  const { data } = await axios.get(`${API_BASE}/api/sessions/${sessionId}/runs/${runId}`);
+  return data;
+}
+
+// One page of a run's results (the latest run without `runId`). Query: { status, exception,
+// q, sort, order, offset, limit, cursor }; answers with { runId, results, total, nextCursor,
+// exceptions } (case counts per state).
+export async function listResults(sessionId, { runId, ...query } = {}) {
+  const { data } = await axios.get(`${API_BASE}/api/sessions/${sessionId}/results`, { params: { run: runId, ...query } });
+  return data;
+}
+
+export async function diffRuns(sessionId, from, to) {
+  const { data } = await axios.get(`${API_BASE}/api/sessions/${sessionId}/diff`, { params: { from, to } });
+  return data;
+}
+
+// action: "match" | "unmatch" | "accept"; answers with the updated run.
+export async function overrideRun(sessionId, runId, action, body) {
+  const { data } = await axios.post(`${API_BASE}/api/sessions/${sessionId}/runs/${runId}/${action}`, body);
+  return data;
+}
+
+// changes: { state?, assignee?, comment? }; answers with { result }.
+export async function updateException(sessionId, runId, entryId, changes) {
+  const url = `${API_BASE}/api/sessions/${sessionId}/runs/${runId}/results/${encodeURIComponent(entryId)}/exception`;
+  const { data } = await axios.patch(url, changes);
+  return data;
+}
+
+// Saved templates: { id, name, mode, mapping, rules, parseOptions, fx, headers, ... }.
+export async function listTemplates() {
+  const { data } = await axios.get(`${API_BASE}/api/templates`);
+  return data.templates;
+}
+
+// Templates saved from files like the session's: [{ id, name, score, missing }], best first.
+export async function suggestTemplates(sessionId) {
+  const { data } = await axios.get(`${API_BASE}/api/templates/suggest`, { params: { sessionId } });
+  return data.suggestions;
+}
+
+// body: { name, sessionId, mode, mapping, rules, parseOptions, fx } (the reconcile settings).
+export async function saveTemplate(body) {
+  const { data } = await axios.post(`${API_BASE}/api/templates`, body);
+  return data.template;
+}
+
+export async function updateTemplate(id, body) {
+  const { data } = await axios.put(`${API_BASE}/api/templates/${id}`, body);
+  return data.template;
+}
+
+export async function deleteTemplate(id) {
+  await axios.delete(`${API_BASE}/api/templates/${id}`);
+}
+
+// Audit trail entries ({ id, at, user, action, sessionId, runId, details, text }).
+// params: { sessionId?, action?, from?, to? }
+export async function listAudit(params) {
+  const { data } = await axios.get(`${API_BASE}/api/audit`, { params });
+  return data.entries;
+}
+
+export function auditExportUrl(params = {}) {
+  const query = new URLSearchParams({ ...params, format: "csv" });
+  return `${API_BASE}/api/audit?${query}`;
+}
+
+// Columns a run can be exported with: { mapped: [{ name, group }], all: [...] }.
+export async function getExportColumns(sessionId, runId) {
+  const { data } = await axios.get(`${API_BASE}/api/export/${sessionId}/columns`, { params: { run: runId } });
+  return data;
+}
+
+// Download link for a run (open it with openDownload). format: "csv" | "xlsx" | "pdf";
+// `columns` (names) picks and orders the columns, the run's mapped ones otherwise.
+export function exportUrl(sessionId, { filter = "ALL", runId, exception, columns, format = "csv" } = {}) {
+  const query = new URLSearchParams({ filter, format });
+  if (runId) query.set("run", runId);
+  if (exception) query.set("exception", exception);
+  if (columns?.length) query.set("columns", columns.join(","));
+  return `${API_BASE}/api/export/${sessionId}?${query}`;
+}
+
+// Start a download from one of the links above. A plain link can't send the login token,
+// so it gets a one-time download token (valid for a minute) in its query string.
+export async function openDownload(url) {
+  const { data } = await axios.post(`${API_BASE}/api/auth/download-token`);
+  window.location.assign(`${url}&token=${encodeURIComponent(data.token)}`);
 }